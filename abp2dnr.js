@@ -17,67 +17,623 @@
 
 "use strict";
 
-const {pipeline, Transform} = require("stream");
-const {StringDecoder} = require("string_decoder");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {pipeline} = require("stream");
+const {fileURLToPath} = require("url");
+const {parseArgs} = require("util");
 
-const {Filter} = require("adblockpluscore/lib/filterClasses");
 const split2 = require("split2");
 
-const {PuppeteerInterface} = require("ddg2dnr/puppeteerInterface");
-const {convertFilter, compressRules} = require("./lib/abp2dnr");
+const {diagnosticCodes} = require("./lib/abp2dnr");
+const {convertFilterLists, parseListMetadata,
+       verifyListChecksum} = require("./lib/filterLists");
+const {DEFAULT_ENVIRONMENT} = require("./lib/preprocessor");
+const {isRegexSupported} = require("./lib/regexSupport");
+const {assignHashedRuleIds, allocateRuleIds} = require("./lib/ruleIds");
+const {planRulesets, checkRulesetLimits, checkCombinedRulesetLimits,
+       generateManifestFragment} = require("./lib/rulesets");
 
-function rulesetStream(stream)
+const USAGE = [
+  "Usage: node abp2dnr.js [options] [input.txt...] > output.json",
+  "",
+  "Converts Adblock Plus filter lists (read from the given files, or the",
+  "standard input) to a declarativeNetRequest ruleset. Several lists are",
+  "merged into one ruleset, unless --ruleset-per-list is given.",
+  "",
+  "Options:",
+  "  -o, --output=FILE         write the ruleset to FILE",
+  "  --no-compress             don't combine rules (see compressRules)",
+  "  --rule-ids=sequential|hash, --id-start=N, --id-file=FILE",
+  "                            how to assign rule IDs",
+  "  --pretty, --compact       format the JSON output (default: --pretty)",
+  "  --stats                   print conversion statistics",
+  "  --strict                  fail if any filter isn't fully converted",
+  "  --require-checksum        fail if a list doesn't have a valid checksum",
+  "  --min-filters=N           fail if a list has fewer than N filters",
+  "  --max-shrink=RATIO        fail if a list lost more than RATIO (e.g. 0.2)",
+  "                            of its filters since the last --metadata",
+  "  --diagnostics=FILE, --source-map=FILE, --metadata=FILE",
+  "                            write a diagnostics report, source map or the",
+  "                            lists' metadata",
+  "  --ruleset-dir=DIR, --manifest=FILE, --rule-order=TYPES, --drop-overflow",
+  "                            split the rules into several rulesets",
+  "  --ruleset-per-list        write separate rulesets for each list",
+  "  --min-chrome-version=N, --blocked-page=PATH, --browser",
+  "                            adjust how filters are converted",
+  "  --env=NAMES               the names that !#if conditions are true for",
+  "                            (default: " + DEFAULT_ENVIRONMENT.join(",") +
+  ")",
+  "  --include-root=DIR        allow !#include directives to include files",
+  "                            inside DIR (default: the list's directory)",
+  "  -h, --help                show this help",
+  "",
+  "Exits with status 1 if the conversion fails, 2 if the options are invalid."
+].join("\n");
+
+// Diagnostics for filters which are skipped by design, rather than since they
+// couldn't be converted.
+const ignoredDiagnosticCodes = new Set([
+  diagnosticCodes.COMMENT, diagnosticCodes.BADFILTER
+]);
+
+// Lines of a filter list which contain a filter, rather than being blank, a
+// comment or a header.
+const FILTER_REGEXP = /^\s*[^[!\s]/;
+
+// Diagnostics for lines which aren't filters, and so don't count towards the
+// statistics.
+const nonFilterDiagnosticCodes = new Set([
+  diagnosticCodes.COMMENT, diagnosticCodes.INVALID_DIRECTIVE,
+  diagnosticCodes.INCLUDE_FAILED, diagnosticCodes.INCLUDE_CYCLE
+]);
+
+// The maximum number of diagnostics printed when the conversion fails in
+// strict mode.
+const MAX_STRICT_DIAGNOSTICS = 10;
+
+function usageError(message)
+{
+  console.error(message);
+  console.error("Run with --help for usage information.");
+  process.exit(2);
+}
+
+let args;
+let inputs;
+try
+{
+  ({values: args, positionals: inputs} = parseArgs({
+    options: {
+      "blocked-page": {type: "string"},
+      "browser": {type: "boolean"},
+      "compact": {type: "boolean"},
+      "diagnostics": {type: "string"},
+      "drop-overflow": {type: "boolean"},
+      "env": {type: "string"},
+      "help": {type: "boolean", short: "h"},
+      "id-file": {type: "string"},
+      "id-start": {type: "string"},
+      "include-root": {type: "string"},
+      "manifest": {type: "string"},
+      "metadata": {type: "string"},
+      "min-chrome-version": {type: "string"},
+      "min-filters": {type: "string"},
+      "max-shrink": {type: "string"},
+      "no-compress": {type: "boolean"},
+      "output": {type: "string", short: "o"},
+      "pretty": {type: "boolean"},
+      "require-checksum": {type: "boolean"},
+      "rule-ids": {type: "string", default: "sequential"},
+      "rule-order": {type: "string"},
+      "ruleset-dir": {type: "string"},
+      "ruleset-per-list": {type: "boolean"},
+      "source-map": {type: "string"},
+      "stats": {type: "boolean"},
+      "strict": {type: "boolean"}
+    },
+    allowPositionals: true
+  }));
+}
+catch (error)
+{
+  usageError(error.message);
+}
+
+function stringify(value)
+{
+  if (args.compact)
+    return JSON.stringify(value) + "\n";
+  return JSON.stringify(value, null, "\t") + "\n";
+}
+
+function stringifyRules(rules)
+{
+  if (args.compact)
+    return JSON.stringify(rules) + "\n";
+
+  if (!rules.length)
+    return "[]\n";
+
+  return "[\n" +
+         rules.map(rule => JSON.stringify(rule, null, "\t")).join(",\n") +
+         "\n]\n";
+}
+
+// Returns an ID for the rulesets generated from the given list, based on its
+// file name.
+function getListId(list, listIds)
+{
+  let id = "stdin";
+  if (list)
+    id = path.basename(list, path.extname(list)).replace(/[^\w-]/g, "_");
+  let uniqueId = id;
+  for (let i = 2; listIds.has(uniqueId); i++)
+    uniqueId = id + "_" + i;
+
+  listIds.add(uniqueId);
+  return uniqueId;
+}
+
+// Split the rules into rulesets which Chrome will accept, write them to the
+// given directory and return a summary of the rulesets. With
+// --ruleset-per-list, the rules of each list are split up separately, but
+// the rulesets of all the lists still have to fit within Chrome's limits
+// together.
+function writeRulesets(listRulesets, directory)
+{
+  let rulesets = [];
+  let summary = [];
+  let listIds = new Set();
+
+  for (let {lists, rules} of listRulesets)
+  {
+    let {rulesets: plannedRulesets, dropped} = planRulesets(rules, {
+      ruleOrder: args["rule-order"] && args["rule-order"].split(","),
+      dropOverflow: args["drop-overflow"]
+    });
+
+    if (dropped.length)
+      console.warn("Dropped " + dropped.length + " rules which didn't fit.");
+
+    let listId = args["ruleset-per-list"] ? getListId(lists[0], listIds) : null;
+    for (let ruleset of plannedRulesets)
+    {
+      if (listId)
+      {
+        ruleset.id = ruleset.id.replace("ruleset", listId);
+        ruleset.list = lists[0];
+      }
+      rulesets.push(ruleset);
+    }
+  }
+
+  checkCombinedRulesetLimits(rulesets);
+  fs.mkdirSync(directory, {recursive: true});
+
+  for (let ruleset of rulesets)
+  {
+    let file = path.join(directory, ruleset.id + ".json");
+    fs.writeFileSync(file, stringifyRules(ruleset.rules));
+
+    let entry = {id: ruleset.id, enabled: ruleset.enabled, path: file,
+                 ruleCount: ruleset.rules.length};
+    if (args["ruleset-per-list"])
+      entry.list = ruleset.list;
+    summary.push(entry);
+
+    // Paths in the manifest are relative to the extension's root directory,
+    // which is where the manifest lives.
+    if (args.manifest)
+    {
+      ruleset.path = path.relative(path.dirname(args.manifest), file)
+                         .split(path.sep).join("/");
+    }
+  }
+
+  if (args.manifest)
+  {
+    fs.writeFileSync(args.manifest,
+                     stringify(generateManifestFragment(rulesets)));
+  }
+
+  return stringify(summary);
+}
+
+// Rules are numbered sequentially by convertFilterLists, but can be given
+// stable IDs instead.
+function assignRuleIds(rules, idStart)
 {
-  let rules = [];
+  if (args["id-file"])
+  {
+    let allocations = {nextId: idStart, ids: {}};
+    if (fs.existsSync(args["id-file"]))
+      allocations = JSON.parse(fs.readFileSync(args["id-file"], "utf-8"));
 
-  let browser = new PuppeteerInterface();
-  let isRegexSupported = browser.isRegexSupported.bind(browser);
-  let decoder = new StringDecoder("utf-8");
+    allocations = allocateRuleIds(rules, allocations);
+    fs.writeFileSync(args["id-file"],
+                     JSON.stringify(allocations, null, "\t") + "\n");
+  }
+  else if (args["rule-ids"] == "hash")
+  {
+    assignHashedRuleIds(rules);
+  }
+}
 
-  let transform = new Transform();
-  transform._transform = async (line, encoding, cb) =>
+// Inputs can be given as paths or file: URLs, "-" stands for the standard
+// input.
+function openInput(input)
+{
+  if (input == "-")
+    return process.stdin;
+  if (input.startsWith("file:"))
+    input = fileURLToPath(input);
+  return fs.createReadStream(input);
+}
+
+function readLines(input)
+{
+  return new Promise((resolve, reject) =>
   {
-    if (encoding == "buffer")
-      line = decoder.write(line);
+    let lines = [];
+    // Unlike pipe(), pipeline() passes on read errors (e.g. for missing
+    // files).
+    pipeline(openInput(input), split2(), error =>
+    {
+      if (error)
+        reject(error);
+      else
+        resolve(lines);
+    }).on("data", line => lines.push(line));
+  });
+}
+
+// Reads the filter lists from the given inputs, named after their files.
+async function readLists()
+{
+  let lists = [];
+
+  for (let input of inputs.length ? inputs : ["-"])
+  {
+    lists.push({name: input == "-" ? null : input,
+                lines: await readLines(input)});
+  }
+
+  return lists;
+}
+
+function countFilters(lines)
+{
+  return lines.filter(line => FILTER_REGEXP.test(line)).length;
+}
+
+// Returns the number of filters each list had when it was last converted, as
+// recorded in the metadata file (if any), by file name.
+function readPreviousFilterCounts()
+{
+  let filterCounts = new Map();
+  if (fs.existsSync(args.metadata))
+  {
+    let {lists} = JSON.parse(fs.readFileSync(args.metadata, "utf-8"));
+    for (let {file = null, filterCount} of lists)
+    {
+      if (typeof filterCount == "number")
+        filterCounts.set(file, filterCount);
+    }
+  }
+  return filterCounts;
+}
+
+// Checks the lists for signs of corruption, like a truncated download, before
+// converting them.
+function checkLists(lists)
+{
+  let previousFilterCounts = args["max-shrink"] ? readPreviousFilterCounts() :
+                                                  new Map();
+
+  for (let {name, lines} of lists)
+  {
+    let listName = name || "standard input";
+    let filterCount = countFilters(lines);
+
+    let checksumValid = verifyListChecksum(lines);
+    if (checksumValid == null && args["require-checksum"])
+    {
+      throw new Error(listName + ": The list doesn't have a checksum " +
+                      "(--require-checksum).");
+    }
+    if (checksumValid === false)
+    {
+      let message = listName + ": The list doesn't match its checksum, it " +
+                    "might be corrupt.";
+      if (args["require-checksum"])
+        throw new Error(message);
+      console.warn(message);
+    }
+
+    if (args["min-filters"])
+    {
+      let minFilters = parseInt(args["min-filters"], 10);
+      if (filterCount < minFilters)
+      {
+        throw new Error(listName + ": The list only has " + filterCount +
+                        " filters, expected at least " + minFilters +
+                        " (--min-filters).");
+      }
+    }
 
-    if (/^\s*[^[\s]/.test(line))
+    // Lists which lost a large part of their filters since the last
+    // conversion are likely truncated, even if they have no checksum.
+    let previousFilterCount = previousFilterCounts.get(name);
+    if (typeof previousFilterCount != "undefined" &&
+        filterCount < previousFilterCount *
+                      (1 - parseFloat(args["max-shrink"])))
     {
-      let filter = Filter.fromText(Filter.normalize(line));
-      for (let rule of await convertFilter(filter, isRegexSupported))
-        rules.push(rule);
+      throw new Error(listName + ": The list only has " + filterCount +
+                      " filters, down from " + previousFilterCount +
+                      " (--max-shrink).");
     }
+  }
+
+  return lists;
+}
+
+// Returns where the given filter came from, for the diagnostics report and
+// source map. Filters from included files are reported with that file.
+function getLocation({list, file, line})
+{
+  file = file || list;
+  return file ? {file, line} : {line};
+}
+
+function getLocationKey(location)
+{
+  let {file, line} = getLocation(location);
+  return file + ":" + line;
+}
+
+// Returns the metadata of the given list, along with a checksum of its
+// contents, so that changes to the list can be detected.
+function getListMetadata({name, lines})
+{
+  let metadata = name ? {file: name} : {};
+  Object.assign(metadata, parseListMetadata(lines));
+  metadata.filterCount = countFilters(lines);
+  metadata.sha256 = crypto.createHash("sha256").update(lines.join("\n"))
+                          .digest("hex");
+  return metadata;
+}
+
+function printStats(stats, rules)
+{
+  let lines = [
+    "Filters: " + stats.filterCount,
+    "Converted filters: " + stats.convertedCount +
+    " (" + stats.partialCount + " only partly)",
+    "Skipped filters: " + (stats.filterCount - stats.convertedCount)
+  ];
+  for (let [code, count] of stats.skippedByCode)
+    lines.push("  " + code + ": " + count);
 
-    cb(null);
+  lines.push("Rules: " + rules.length);
+  let actionTypes = new Map();
+  for (let {action: {type}} of rules)
+    actionTypes.set(type, (actionTypes.get(type) || 0) + 1);
+  for (let [type, count] of actionTypes)
+    lines.push("  " + type + ": " + count);
+
+  console.error(lines.join("\n"));
+}
+
+function checkStrict(diagnostics)
+{
+  // Filters disabled by $badfilter filters are removed on purpose.
+  diagnostics = diagnostics.filter(
+    ({code}) => code != diagnosticCodes.DISABLED_BY_BADFILTER
+  );
+  if (!diagnostics.length)
+    return;
+
+  for (let diagnostic of diagnostics.slice(0, MAX_STRICT_DIAGNOSTICS))
+  {
+    console.error((diagnostic.file ? diagnostic.file + ":" : "line ") +
+                  diagnostic.line + ": " + diagnostic.filter + " (" +
+                  diagnostic.message + ")");
+  }
+  if (diagnostics.length > MAX_STRICT_DIAGNOSTICS)
+  {
+    console.error("... and " + (diagnostics.length - MAX_STRICT_DIAGNOSTICS) +
+                  " more.");
+  }
+
+  throw new Error(diagnostics.length + " filters couldn't be fully " +
+                  "converted (--strict).");
+}
+
+async function convertFilters(lists, checkRegex, options)
+{
+  let diagnostics = [];
+  let codesByFilter = new Map();
+
+  let onDiagnostic = diagnostic =>
+  {
+    let {filter, code, message} = diagnostic;
+    let key = getLocationKey(diagnostic);
+    if (!codesByFilter.has(key))
+      codesByFilter.set(key, []);
+    codesByFilter.get(key).push(code);
+
+    if (!ignoredDiagnosticCodes.has(code))
+    {
+      diagnostics.push(Object.assign(getLocation(diagnostic),
+                                     {filter, code, message}));
+    }
   };
-  transform._flush = cb =>
+
+  let {rulesets, ruleSources} = await convertFilterLists(
+    lists, checkRegex, Object.assign({
+      onDiagnostic,
+      compress: !args["no-compress"],
+      rulesetPerList: args["ruleset-per-list"]
+    }, options)
+  );
+  let rules = [].concat(...rulesets.map(ruleset => ruleset.rules));
+
+  if (args.diagnostics)
+    fs.writeFileSync(args.diagnostics, stringify(diagnostics));
+
+  if (args.stats)
   {
-    browser.closeBrowser();
+    let stats = {filterCount: 0, convertedCount: 0, partialCount: 0,
+                 skippedByCode: new Map()};
 
-    if (!rules.length)
+    let convertedFilters = new Set();
+    for (let sources of ruleSources.values())
+    {
+      for (let source of sources)
+        convertedFilters.add(getLocationKey(source));
+    }
+    for (let key of convertedFilters)
+    {
+      stats.filterCount++;
+      stats.convertedCount++;
+      let codes = codesByFilter.get(key) || [];
+      if (codes.some(code => !ignoredDiagnosticCodes.has(code)))
+        stats.partialCount++;
+    }
+    for (let [key, [code]] of codesByFilter)
     {
-      cb(null, "[]\n");
-      return;
+      if (convertedFilters.has(key) || nonFilterDiagnosticCodes.has(code))
+        continue;
+
+      stats.filterCount++;
+      stats.skippedByCode.set(code, (stats.skippedByCode.get(code) || 0) + 1);
     }
 
-    let output = "[\n";
-    let id = 1;
-    for (let rule of compressRules(rules))
+    printStats(stats, rules);
+  }
+  if (args.strict)
+    checkStrict(diagnostics);
+
+  assignRuleIds(rules, options.idStart);
+
+  if (args["source-map"])
+  {
+    let sourceMap = {};
+    for (let rule of rules)
     {
-      if (id > 1)
-        output += ",\n";
-      rule.id = id++;
-      output += JSON.stringify(rule, null, "\t");
+      sourceMap[rule.id] = ruleSources.get(rule).map(
+        source => Object.assign({filter: source.filter}, getLocation(source))
+      );
     }
-    output += "\n]\n";
-    cb(null, output);
+
+    fs.writeFileSync(args["source-map"], stringify(sourceMap));
+  }
+
+  let output;
+  if (args["ruleset-dir"])
+    output = writeRulesets(rulesets, args["ruleset-dir"]);
+  else
+    output = stringifyRules(checkRulesetLimits(rules));
+
+  // The metadata is only updated once the conversion succeeded, since the
+  // next conversion's --max-shrink check relies on it.
+  if (args.metadata)
+  {
+    fs.writeFileSync(args.metadata, stringify({
+      convertedAt: new Date().toISOString(),
+      lists: lists.map(getListMetadata)
+    }));
+  }
+
+  return output;
+}
+
+async function main()
+{
+  // Regular expressions are checked offline by default, but optionally the
+  // browser can be used to check them instead.
+  let browser = null;
+  let checkRegex = isRegexSupported;
+  if (args.browser)
+  {
+    let {PuppeteerInterface} = require("ddg2dnr/puppeteerInterface");
+    browser = new PuppeteerInterface();
+    checkRegex = browser.isRegexSupported.bind(browser);
+  }
+
+  let options = {
+    idStart: 1,
+    blockedPagePath: args["blocked-page"]
   };
-  return transform;
+  if (args["include-root"])
+    options.includeRoot = args["include-root"];
+  if (args.env != null)
+    options.environment = args.env.split(",").filter(name => name);
+  if (args["min-chrome-version"])
+    options.minimumChromeVersion = parseInt(args["min-chrome-version"], 10);
+  if (args["id-start"])
+    options.idStart = parseInt(args["id-start"], 10);
+
+  let output;
+  try
+  {
+    output = await convertFilters(checkLists(await readLists()), checkRegex,
+                                  options);
+  }
+  finally
+  {
+    if (browser)
+      browser.closeBrowser();
+  }
+
+  if (args.output)
+    fs.writeFileSync(args.output, output);
+  else
+    process.stdout.write(output);
 }
 
-pipeline(
-  process.stdin,
-  split2(),
-  rulesetStream(),
-  process.stdout,
-  error => { }
-);
+if (args.help)
+{
+  process.stdout.write(USAGE + "\n");
+  process.exit(0);
+}
+
+if (!["sequential", "hash"].includes(args["rule-ids"]))
+  usageError("The --rule-ids option must be sequential or hash.");
+
+if (args.manifest && !args["ruleset-dir"])
+  usageError("The --manifest option requires --ruleset-dir.");
+
+if (args["ruleset-per-list"] && !args["ruleset-dir"])
+  usageError("The --ruleset-per-list option requires --ruleset-dir.");
+
+if (args.pretty && args.compact)
+  usageError("The --pretty and --compact options can't be combined.");
+
+if (args["id-start"] && !/^[1-9]\d*$/.test(args["id-start"]))
+  usageError("The --id-start option must be a positive integer.");
+
+if (args["id-start"] && args["rule-ids"] == "hash")
+  usageError("The --id-start option can't be combined with --rule-ids=hash.");
+
+if (args["min-chrome-version"] &&
+    !/^\d+$/.test(args["min-chrome-version"]))
+  usageError("The --min-chrome-version option must be a version number.");
+
+if (args["min-filters"] && !/^\d+$/.test(args["min-filters"]))
+  usageError("The --min-filters option must be a number.");
+
+if (args["max-shrink"] &&
+    !(/^(?:0|1|0?\.\d+)$/.test(args["max-shrink"])))
+  usageError("The --max-shrink option must be a ratio between 0 and 1.");
+
+if (args["max-shrink"] && !args.metadata)
+  usageError("The --max-shrink option requires --metadata.");
+
+main().catch(error =>
+{
+  console.error(error.message);
+  process.exitCode = 1;
+});
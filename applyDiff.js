@@ -0,0 +1,93 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const fs = require("fs");
+
+const {Filter} = require("adblockpluscore/lib/filterClasses");
+
+const {checkDynamicRuleLimits} = require("./lib/dynamicRules");
+const {IncrementalConverter} = require("./lib/incrementalConverter");
+const {preprocessFilterList} = require("./lib/preprocessor");
+const {isRegexSupported} = require("./lib/regexSupport");
+
+// Reads a diff in the diff update format, or works out the diff from a full
+// filter list (after handling its preprocessor directives).
+function readDiff(file, converter)
+{
+  let text = fs.readFileSync(file, "utf-8");
+  if (file.endsWith(".json"))
+    return JSON.parse(text).filters;
+
+  let lines = preprocessFilterList(text.split(/\r?\n/), {
+    file,
+    onDiagnostic(diagnostic)
+    {
+      console.warn((diagnostic.file || file) + ":" + diagnostic.line + ": " +
+                   diagnostic.message);
+    }
+  });
+  let filterTexts = new Set(lines.map(line => line.text)
+                                 .filter(line => /^\s*[^[\s]/.test(line))
+                                 .map(line => Filter.normalize(line)));
+  let previousFilterTexts = new Set(converter.getFilterTexts());
+
+  return {
+    add: Array.from(filterTexts).filter(t => !previousFilterTexts.has(t)),
+    remove: Array.from(previousFilterTexts).filter(t => !filterTexts.has(t))
+  };
+}
+
+async function main()
+{
+  let [stateFile, diffFile] = process.argv.slice(2);
+  if (!stateFile || !diffFile)
+  {
+    console.error("Usage: node applyDiff.js state.json diff.json " +
+                  "> update.json");
+    process.exitCode = 2;
+    return;
+  }
+
+  let converter;
+  if (fs.existsSync(stateFile))
+  {
+    let state = JSON.parse(fs.readFileSync(stateFile, "utf-8"));
+    converter = IncrementalConverter.fromJSON(state, isRegexSupported);
+  }
+  else
+  {
+    converter = new IncrementalConverter(isRegexSupported);
+  }
+
+  let update = await converter.applyDiff(readDiff(diffFile, converter));
+
+  // Don't save a state whose rules can't be added as dynamic rules.
+  checkDynamicRuleLimits(converter.getRules());
+
+  fs.writeFileSync(stateFile, JSON.stringify(converter) + "\n");
+  process.stdout.write(JSON.stringify(update, null, "\t") + "\n");
+  console.error("Adding " + update.addRules.length + " rules, removing " +
+                update.removeRuleIds.length + " rules.");
+}
+
+main().catch(error =>
+{
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,64 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const fs = require("fs");
+
+const {checkEquivalence} = require("./lib/equivalence");
+const {isRegexSupported} = require("./lib/regexSupport");
+
+async function main()
+{
+  let [requestsFile] = process.argv.slice(2);
+  if (!requestsFile)
+  {
+    console.error("Usage: node checkEquivalence.js requests.json " +
+                  "< input.txt > differences.json");
+    process.exitCode = 2;
+    return;
+  }
+
+  let requests = JSON.parse(fs.readFileSync(requestsFile, "utf-8"));
+  let filterTexts = fs.readFileSync(process.stdin.fd, "utf-8")
+                      .split(/\r?\n/)
+                      .filter(line => /^\s*[^[\s]/.test(line));
+
+  let uncheckedCount = 0;
+  let differences = await checkEquivalence(
+    filterTexts, requests, isRegexSupported,
+    {onUnchecked: () => uncheckedCount++}
+  );
+
+  process.stdout.write(JSON.stringify(differences, null, "\t") + "\n");
+  console.error(differences.length + " of " + requests.length +
+                " requests have differing outcomes.");
+  if (uncheckedCount)
+  {
+    console.error(uncheckedCount + " filters with options that Adblock Plus " +
+                  "doesn't support (e.g. $important) weren't checked.");
+  }
+
+  if (differences.length)
+    process.exitCode = 1;
+}
+
+main().catch(error =>
+{
+  console.error(error);
+  process.exitCode = 2;
+});
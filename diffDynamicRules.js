@@ -0,0 +1,79 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const fs = require("fs");
+
+const {convertFilterLists} = require("./lib/filterLists");
+const {diffRules} = require("./lib/dynamicRules");
+const {isRegexSupported} = require("./lib/regexSupport");
+
+// Reads a file of rules, or converts a filter list to rules in the same way as
+// abp2dnr.js does.
+async function readRules(file)
+{
+  let text = fs.readFileSync(file, "utf-8");
+  if (file.endsWith(".json"))
+    return JSON.parse(text);
+
+  let {rulesets: [{rules}]} = await convertFilterLists(
+    [{name: file, lines: text.split(/\r?\n/)}], isRegexSupported
+  );
+  return rules;
+}
+
+async function main()
+{
+  let [previousFile, file, installedFile] = process.argv.slice(2);
+  if (!previousFile || !file)
+  {
+    console.error("Usage: node diffDynamicRules.js previous.json new.txt " +
+                  "[installed.json] > update.json");
+    process.exitCode = 2;
+    return;
+  }
+
+  // The update refers to the previous rules by their IDs, so those have to be
+  // the IDs of the installed rules, rather than ones given by converting a
+  // filter list again.
+  if (!previousFile.endsWith(".json"))
+  {
+    console.error("The previous rules must be the installed rules, as a " +
+                  ".json file (e.g. installed.json written by the last run).");
+    process.exitCode = 2;
+    return;
+  }
+
+  let rules = await readRules(file);
+  let update = diffRules(await readRules(previousFile), rules);
+
+  // The rules as they are once the update was applied, with their IDs, to
+  // diff the next update against.
+  if (installedFile)
+    fs.writeFileSync(installedFile, JSON.stringify(rules, null, "\t") + "\n");
+
+  process.stdout.write(JSON.stringify(update, null, "\t") + "\n");
+  console.error("Adding " + update.addRules.length + " rules, removing " +
+                update.removeRuleIds.length + " rules.");
+}
+
+main().catch(error =>
+{
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -28,6 +28,38 @@ const GENERIC_ALLOW_ALL_PRIORITY = 1001;
 const SPECIFIC_PRIORITY = 2000;
 const SPECIFIC_ALLOW_ALL_PRIORITY = 2001;
 
+// Rules for $important filters take precedence over all other rules,
+// including the allowing rules for exceptions and $document allowlisting.
+// Again, "allowAllRequests" rules need a higher priority than "allow" rules.
+const IMPORTANT_PRIORITY = 3000;
+const IMPORTANT_ALLOW_ALL_PRIORITY = 3001;
+
+// Query parameter removal is only done for requests which aren't otherwise
+// blocked, redirected or allowlisted, so those rules have the lowest
+// priority. The allow rules for their exceptions take priority over them, but
+// not over any other rules.
+const REMOVEPARAM_PRIORITY = 100;
+const REMOVEPARAM_ALLOW_PRIORITY = 101;
+
+// Rules for $header filters are matched once the response headers have been
+// received, so only rules for requests that weren't blocked or allowlisted
+// before then apply. The allow rules for their exceptions are matched before
+// that, and so need a higher priority than them, but a lower priority than
+// all other blocking rules. Allow rules cancel all rules with a lower
+// priority, so those also cancel query parameter removal. Giving them a lower
+// priority than that instead would let the allow rules for $removeparam
+// exceptions cancel $header blocking rules (see the
+// approximate_header_allowlisting diagnostic code).
+const HEADER_PRIORITY = 200;
+const HEADER_ALLOW_PRIORITY = 201;
+
+// The first version of Chrome which supports response header conditions.
+const RESPONSE_HEADERS_CHROME_VERSION = 128;
+
+// The maximum number of domains that the wildcard domains (e.g. example.*) of
+// a filter's $domain option are expanded to, by default.
+const MAX_WILDCARD_DOMAINS = 1000;
+
 // Generally, filters don't apply to main_frame requests. But there are some
 // special cases ($csp and $document allowlisting) where filters translate to
 // rules that apply to both main_frame and sub_frame requests. These rules need
@@ -35,9 +67,58 @@ const SPECIFIC_ALLOW_ALL_PRIORITY = 2001;
 // is cheaper and easier to compare with than `["main_frame", "sub_frame"]`.
 const MAIN_FRAME_SUB_FRAME = Symbol();
 
+// Regular expression for the options of a filter, the same as
+// adblockpluscore's.
+const OPTIONS_REGEXP = /\$(~?[\w-]+(?:=[^,]*)?(?:,~?[\w-]+(?:=[^,]*)?)*)$/;
+
+// Filter options which adblockpluscore doesn't support, but which can be
+// converted. They are split off from the filter's text before it's parsed.
+const extendedOptionNames = new Set([
+  "badfilter", "denyallow", "important", "method", "removeparam", "to"
+]);
+
+// The request methods that declarativeNetRequest rules can match.
+const requestMethods = new Set([
+  "connect", "delete", "get", "head", "options", "patch", "post", "put",
+  "other"
+]);
+
 // Regular expression for the prefix, hostname and suffix of a filter.
 const URLFILTER_PARTS_REGEXP = /^(\|\||[a-zA-Z]*:\/\/)([^*^?/|]*)(.*)$/;
 
+/**
+ * Machine-readable codes for the diagnostics that `convertFilter` reports
+ * when a filter is skipped, or only partly converted. Problems with the
+ * filter list as a whole, e.g. with its preprocessor directives, are reported
+ * with these codes too (see `convertFilterLists`).
+ * @enum {string}
+ */
+const diagnosticCodes = {
+  NOT_A_FILTER: "not_a_filter",
+  COMMENT: "comment",
+  INVALID_FILTER: "invalid_filter",
+  UNICODE: "unicode",
+  SITEKEY: "sitekey",
+  CONTENT_FILTER: "content_filter",
+  UNSUPPORTED_REGEXP: "unsupported_regexp",
+  UNKNOWN_REWRITE_RESOURCE: "unknown_rewrite_resource",
+  UNSUPPORTED_CONTENT_TYPES: "unsupported_content_types",
+  PARTIALLY_UNSUPPORTED_CONTENT_TYPES: "partially_unsupported_content_types",
+  APPROXIMATE_CSP_ALLOWLISTING: "approximate_csp_allowlisting",
+  UNSUPPORTED_REMOVEPARAM: "unsupported_removeparam",
+  APPROXIMATE_REMOVEPARAM_ALLOWLISTING: "approximate_removeparam_allowlisting",
+  APPROXIMATE_HEADER_ALLOWLISTING: "approximate_header_allowlisting",
+  UNSUPPORTED_CHROME_VERSION: "unsupported_chrome_version",
+  BADFILTER: "badfilter",
+  DISABLED_BY_BADFILTER: "disabled_by_badfilter",
+  WILDCARD_DOMAIN_LIMIT: "wildcard_domain_limit",
+  INVALID_DIRECTIVE: "invalid_directive",
+  INCLUDE_FAILED: "include_failed",
+  INCLUDE_CYCLE: "include_cycle"
+};
+
+const {domainToASCII} = require("url");
+
 const {
   CommentFilter,
   ContentFilter,
@@ -48,7 +129,10 @@ const {
 
 const rewriteResources = require("adblockpluscore/data/resources");
 
-const {contentTypes} = require("adblockpluscore/lib/contentTypes");
+const defaultPublicSuffixes = require("../data/publicSuffixes.json");
+
+const {contentTypes,
+       RESOURCE_TYPES} = require("adblockpluscore/lib/contentTypes");
 
 const requestTypes = new Map([
   [contentTypes.OTHER, ["other", "csp_report"]],
@@ -67,9 +151,385 @@ const requestTypes = new Map([
 const supportedRequestTypes = Array.from(requestTypes.keys())
                                    .reduce(((srt, t) => srt | t));
 
+// Filter options which have no declarativeNetRequest equivalent, and which are
+// therefore dropped when converting a filter.
+const unsupportedTypeNames = new Map([
+  [contentTypes.WEBRTC, "webrtc"],
+  [contentTypes.POPUP, "popup"],
+  [contentTypes.DOCUMENT, "document"],
+  [contentTypes.GENERICBLOCK, "genericblock"],
+  [contentTypes.ELEMHIDE, "elemhide"],
+  [contentTypes.GENERICHIDE, "generichide"]
+]);
+
+// Resource types with a corresponding filter option. Filters with inverted
+// type options (e.g. $~script) also match the remaining, unnamed, types.
+const namedResourceTypes = Object.values(contentTypes)
+                                 .reduce(((nrt, t) => nrt | t)) &
+                           RESOURCE_TYPES;
+
 // Chrome can't distinguish between OBJECT_SUBREQUEST and OBJECT requests.
 contentTypes.OBJECT_SUBREQUEST = contentTypes.OBJECT;
 
+function reportUnsupportedTypes(contentType, supportedTypes, diagnose)
+{
+  let names = [];
+  let inverted = (contentType & RESOURCE_TYPES & ~namedResourceTypes) != 0;
+
+  for (let [type, name] of unsupportedTypeNames)
+  {
+    // Don't complain about the types implied by an inverted type option.
+    if (contentType & type & ~supportedTypes &&
+        !(inverted && type & RESOURCE_TYPES))
+      names.push("$" + name);
+  }
+
+  if (names.length)
+  {
+    diagnose(diagnosticCodes.PARTIALLY_UNSUPPORTED_CONTENT_TYPES,
+             "Unsupported filter options were ignored: " + names.join(", ") +
+             ".");
+  }
+}
+
+// Filter options whose values are lists of domains.
+const domainOptionNames = new Set(["denyallow", "domain", "to"]);
+
+const NON_ASCII_REGEXP = /[^\x00-\x7F]/;
+
+// Converts the given hostname (or the part of one in a filter's pattern) to
+// punycode, one label at a time. Returns null if that's not possible.
+function encodeHostname(hostname)
+{
+  let labels = [];
+  for (let label of hostname.split("."))
+  {
+    if (NON_ASCII_REGEXP.test(label))
+    {
+      label = domainToASCII(label);
+      if (!label)
+        return null;
+    }
+    labels.push(label);
+  }
+  return labels.join(".");
+}
+
+// Converts the non-ASCII parts of the given filter pattern, as Chrome does for
+// request URLs. Hostnames are converted to punycode, and the path and query
+// percent-encoded. Returns null if the pattern's non-ASCII characters can't be
+// safely converted, e.g. since it's not clear which part of the URL they
+// match, or the pattern is a regular expression.
+function encodePattern(pattern)
+{
+  if (pattern.length > 1 && pattern.startsWith("/") && pattern.endsWith("/"))
+    return null;
+
+  let anchor = pattern.startsWith("|") && !pattern.startsWith("||") ? "|" : "";
+  let prefix = "";
+  let hostname = "";
+  let rest = pattern.substring(anchor.length);
+
+  let match = URLFILTER_PARTS_REGEXP.exec(rest);
+  if (match)
+  {
+    [, prefix, hostname, rest] = match;
+
+    if (NON_ASCII_REGEXP.test(hostname))
+    {
+      // Unless the hostname is followed by a separator, its last label might
+      // only be the start of one, which can't be converted on its own.
+      let lastLabel = hostname.substring(hostname.lastIndexOf(".") + 1);
+      if (!/^[\^/?|]/.test(rest) && NON_ASCII_REGEXP.test(lastLabel))
+        return null;
+
+      hostname = encodeHostname(hostname);
+      if (hostname == null)
+        return null;
+    }
+  }
+
+  let index = rest.search(NON_ASCII_REGEXP);
+  if (index >= 0)
+  {
+    // Only characters which are definitely not part of the hostname can be
+    // percent-encoded.
+    if (!/[\^/?]/.test(rest.substring(0, index)))
+      return null;
+
+    try
+    {
+      rest = rest.replace(/[^\x00-\x7F]+/gu, encodeURIComponent);
+    }
+    catch (e)
+    {
+      return null;
+    }
+  }
+
+  return anchor + prefix + hostname + rest;
+}
+
+// Converts the non-ASCII characters of the given filter text, so that the
+// filter can be converted to declarativeNetRequest rules. Domains are
+// converted to punycode, the URL's path and query percent-encoded. Returns
+// the text unchanged if that's not possible.
+function encodeFilterText(text)
+{
+  if (!NON_ASCII_REGEXP.test(text) || /#[@?$]?#/.test(text))
+    return text;
+
+  let match = text.includes("$") ? OPTIONS_REGEXP.exec(text) : null;
+  let pattern = match ? text.substring(0, match.index) : text;
+
+  let exception = pattern.startsWith("@@") ? "@@" : "";
+  pattern = encodePattern(pattern.substring(exception.length));
+  if (pattern == null)
+    return text;
+
+  let options = [];
+  for (let option of match ? match[1].split(",") : [])
+  {
+    let separatorIndex = option.indexOf("=");
+    let name = option.substring(0, separatorIndex).toLowerCase();
+
+    if (NON_ASCII_REGEXP.test(option))
+    {
+      if (separatorIndex < 0 || !domainOptionNames.has(name))
+        return text;
+
+      let domains = [];
+      for (let domain of option.substring(separatorIndex + 1).split("|"))
+      {
+        let excluded = domain.startsWith("~") ? "~" : "";
+        let hostname = encodeHostname(domain.substring(excluded.length));
+        if (!hostname)
+          return text;
+        domains.push(excluded + hostname);
+      }
+      option = option.substring(0, separatorIndex + 1) + domains.join("|");
+    }
+
+    options.push(option);
+  }
+
+  return exception + pattern + (options.length ? "$" + options.join(",") : "");
+}
+
+/**
+ * Splits the options which Adblock Plus doesn't support (e.g. $important or
+ * $badfilter) off from the given filter text.
+ * @param {string} text
+ *   The (normalized) text of the filter.
+ * @returns {Object}
+ *   The remaining filter `text`, along with a Map of the `extendedOptions`'
+ *   values (null for options without a value), keyed by lower case name.
+ */
+function splitExtendedOptions(text)
+{
+  let extendedOptions = new Map();
+  let match = text.includes("$") ? OPTIONS_REGEXP.exec(text) : null;
+  if (!match)
+    return {text, extendedOptions};
+
+  let options = [];
+  for (let option of match[1].split(","))
+  {
+    let separatorIndex = option.indexOf("=");
+    let name = separatorIndex >= 0 ? option.substring(0, separatorIndex) :
+                                     option;
+    name = name.toLowerCase();
+
+    if (extendedOptionNames.has(name))
+    {
+      extendedOptions.set(name, separatorIndex >= 0 ?
+                                  option.substring(separatorIndex + 1) : null);
+    }
+    else
+    {
+      options.push(option);
+    }
+  }
+
+  if (!extendedOptions.size)
+    return {text, extendedOptions};
+
+  text = text.substring(0, match.index);
+  // Filters with an empty pattern match all URLs.
+  if (text == "" || text == "@@")
+    text += "*";
+  if (options.length)
+    text += "$" + options.join(",");
+
+  return {text, extendedOptions};
+}
+
+// Replaces the wildcard domains (e.g. example.*) in the $domain option of the
+// given filter text with the domain for each of the public suffixes, since
+// declarativeNetRequest rules can only match concrete domains. Returns the
+// new filter text, along with the number of domains that were left out to
+// stay within the given limit.
+function expandWildcardDomains(text, publicSuffixes, maxDomains)
+{
+  let match = text.includes(".*") ? OPTIONS_REGEXP.exec(text) : null;
+  if (!match)
+    return {text, omitted: 0};
+
+  let omitted = 0;
+  let expandedCount = 0;
+  let options = match[1].split(",").map(option =>
+  {
+    let separatorIndex = option.indexOf("=");
+    if (separatorIndex < 0 ||
+        option.substring(0, separatorIndex).toLowerCase() != "domain")
+      return option;
+
+    let domains = [];
+    for (let domain of option.substring(separatorIndex + 1).split("|"))
+    {
+      if (!domain.endsWith(".*"))
+      {
+        domains.push(domain);
+        continue;
+      }
+
+      let base = domain.substring(0, domain.length - 1);
+      for (let suffix of publicSuffixes)
+      {
+        if (expandedCount < maxDomains)
+        {
+          domains.push(base + suffix);
+          expandedCount++;
+        }
+        else
+        {
+          omitted++;
+        }
+      }
+    }
+
+    return "domain=" + domains.join("|");
+  });
+
+  return {
+    text: text.substring(0, match.index) + "$" + options.join(","),
+    omitted
+  };
+}
+
+// Splits the given filter text into its pattern, domains and other options, so
+// that it can be compared with $badfilter filters.
+function parseFilterOptions(text)
+{
+  let match = text.includes("$") ? OPTIONS_REGEXP.exec(text) : null;
+  if (!match)
+    return {pattern: text, options: [], domains: null, key: text + "$"};
+
+  let options = [];
+  let domains = null;
+  for (let option of match[1].split(","))
+  {
+    let separatorIndex = option.indexOf("=");
+    let name = separatorIndex >= 0 ? option.substring(0, separatorIndex) :
+                                     option;
+    name = name.toLowerCase();
+
+    if (name == "domain" && separatorIndex >= 0)
+      domains = option.substring(separatorIndex + 1).toLowerCase().split("|");
+    else if (name != "badfilter")
+      options.push(option);
+  }
+
+  // Option names are case-insensitive, unlike some of their values.
+  let keyOptions = options.map(option =>
+  {
+    let separatorIndex = option.indexOf("=");
+    if (separatorIndex < 0)
+      return option.toLowerCase();
+    return option.substring(0, separatorIndex).toLowerCase() +
+           option.substring(separatorIndex);
+  });
+
+  let pattern = text.substring(0, match.index);
+  let key = pattern + "$" + keyOptions.sort().join(",");
+  return {pattern, options, domains, key};
+}
+
+/**
+ * Checks if the given filter is a $badfilter filter, which disables other
+ * filters (see `applyBadFilters`).
+ * @param {string} text
+ *   The (normalized) text of the filter.
+ * @returns {boolean}
+ */
+function isBadFilter(text)
+{
+  return splitExtendedOptions(text).extendedOptions.has("badfilter");
+}
+
+/**
+ * Applies the $badfilter filters in the given list, which disable the
+ * filters they match (ignoring the order of the filter options). $badfilter
+ * filters with a $domain option also remove those domains from the $domain
+ * option of otherwise matching filters, disabling them once there are no
+ * domains left.
+ * @param {string[]} filterTexts
+ *   The (normalized) texts of the filters in the list.
+ * @returns {Array.<?string>}
+ *   The filter texts, in the same order. Disabled filters are replaced with
+ *   null, and filters with domains removed with their new text. The
+ *   $badfilter filters themselves remain, `convertFilter` ignores them.
+ */
+function applyBadFilters(filterTexts)
+{
+  let badFilters = new Map();
+  for (let text of filterTexts)
+  {
+    if (!isBadFilter(text))
+      continue;
+
+    let {key, domains} = parseFilterOptions(text);
+    if (!badFilters.has(key))
+      badFilters.set(key, []);
+    badFilters.get(key).push(domains);
+  }
+
+  return filterTexts.map(text =>
+  {
+    let {pattern, options, domains, key} = parseFilterOptions(text);
+    let badFilterDomains = badFilters.get(key);
+    if (!badFilterDomains || isBadFilter(text))
+      return text;
+
+    let originalDomains = domains;
+    for (let removedDomains of badFilterDomains)
+    {
+      // $badfilter filters without a $domain option only disable filters
+      // without one.
+      if (!domains || !removedDomains)
+      {
+        if (!domains && !removedDomains)
+          return null;
+        continue;
+      }
+
+      if (removedDomains.every(domain => !domain.startsWith("~") &&
+                                         domains.includes(domain)))
+        domains = domains.filter(domain => !removedDomains.includes(domain));
+    }
+
+    if (domains == originalDomains)
+      return text;
+
+    // Once the filter doesn't apply to any domains, it's disabled.
+    if (!domains.some(domain => !domain.startsWith("~")))
+      return null;
+
+    return pattern + "$" + options.concat("domain=" + domains.join("|"))
+                                  .join(",");
+  });
+}
+
 function getResourceTypes(filterContentType)
 {
   // The default is to match everything except main_frame requests, which is
@@ -110,7 +570,91 @@ function getDomains(filterDomains)
   return {domains, excludedDomains, isGenericFilter};
 }
 
-function getConditions(filter, urlFilter, resourceTypes, matchCase)
+// Returns the request domain conditions for the given extended options. The
+// $to option restricts requests to (or excludes requests to) the given
+// domains, the $denyallow option excludes requests to the given domains.
+function getRequestDomains(extendedOptions)
+{
+  let domains = [];
+  let excludedDomains = [];
+
+  if (extendedOptions.has("to"))
+  {
+    for (let domain of extendedOptions.get("to").toLowerCase().split("|"))
+    {
+      if (domain.startsWith("~"))
+        excludedDomains.push(domain.substring(1));
+      else
+        domains.push(domain);
+    }
+  }
+
+  if (extendedOptions.has("denyallow"))
+    excludedDomains.push(...extendedOptions.get("denyallow").toLowerCase()
+                                           .split("|"));
+
+  return {domains, excludedDomains};
+}
+
+// Returns the domains which match both of the given lists of domains, bearing
+// in mind that a domain also matches its subdomains.
+function intersectDomains(domains, otherDomains)
+{
+  let result = new Set();
+
+  for (let domain of domains)
+  {
+    for (let otherDomain of otherDomains)
+    {
+      if (domain == otherDomain || domain.endsWith("." + otherDomain))
+        result.add(domain);
+      else if (otherDomain.endsWith("." + domain))
+        result.add(otherDomain);
+    }
+  }
+
+  return Array.from(result);
+}
+
+// Returns the request method conditions for the given $method option value,
+// or null if it's invalid. Rules can't have both conditions, but any excluded
+// methods are implied by the included ones.
+function getRequestMethods(value)
+{
+  let methods = [];
+  let excludedMethods = [];
+
+  for (let method of (value || "").toLowerCase().split("|"))
+  {
+    let excluded = method.startsWith("~");
+    if (excluded)
+      method = method.substring(1);
+
+    if (!requestMethods.has(method))
+      return null;
+
+    (excluded ? excludedMethods : methods).push(method);
+  }
+
+  if (methods.length)
+    return {requestMethods: methods};
+  return {excludedRequestMethods: excludedMethods};
+}
+
+function isValidDomainList(value, allowExclusions = false)
+{
+  return !!value && value.split("|").every(
+    domain =>
+    {
+      if (allowExclusions && domain.startsWith("~"))
+        domain = domain.substring(1);
+      return domain != "" && !/[~*/]/.test(domain);
+    }
+  );
+}
+
+function getConditions(filter, urlFilter, resourceTypes, matchCase,
+                       extendedOptions)
 {
   let mainFrameSubFrame = false;
   let conditions = [];
@@ -135,6 +679,9 @@ function getConditions(filter, urlFilter, resourceTypes, matchCase)
   if (filter.thirdParty != null)
     condition.domainType = filter.thirdParty ? "thirdParty" : "firstParty";
 
+  if (extendedOptions.has("method"))
+    Object.assign(condition, getRequestMethods(extendedOptions.get("method")));
+
   let {domains, excludedDomains, isGenericFilter} = getDomains(filter.domains);
 
   // The $domain filter option applies to the initiator domain generally, but
@@ -165,25 +712,62 @@ function getConditions(filter, urlFilter, resourceTypes, matchCase)
     condition.excludedInitiatorDomains = excludedDomains;
 
   conditions.push(condition);
+
+  let requestDomains = getRequestDomains(extendedOptions);
+  if (requestDomains.domains.length)
+  {
+    // The main_frame condition might already be restricted to the $domain
+    // option's domains, in which case requests must match both.
+    conditions = conditions.filter(requestCondition =>
+    {
+      requestCondition.requestDomains = requestCondition.requestDomains ?
+        intersectDomains(requestCondition.requestDomains,
+                         requestDomains.domains) :
+        requestDomains.domains.slice();
+      return requestCondition.requestDomains.length > 0;
+    });
+  }
+  if (requestDomains.excludedDomains.length)
+  {
+    for (let requestCondition of conditions)
+    {
+      requestCondition.excludedRequestDomains =
+        (requestCondition.excludedRequestDomains || [])
+          .concat(requestDomains.excludedDomains);
+    }
+  }
+
   return [conditions, isGenericFilter];
 }
 
-function generateRedirectRules(filter, urlFilter, matchCase)
+function generateRedirectRules(filter, urlFilter, matchCase, extendedOptions,
+                               diagnose)
 {
   let url = rewriteResources[filter.rewrite];
 
   // Ignore filters with unknown abp-resources.
   if (!url)
+  {
+    diagnose(diagnosticCodes.UNKNOWN_REWRITE_RESOURCE,
+             "The rewrite resource \"abp-resource:" + filter.rewrite +
+             "\" is unknown.");
     return [];
+  }
 
   let resourceTypes = getResourceTypes(filter.contentType);
 
   // Ignore filters with only unsupported resource types.
   if (resourceTypes && resourceTypes.length == 0)
+  {
+    diagnose(diagnosticCodes.UNSUPPORTED_CONTENT_TYPES,
+             "The filter doesn't apply to any supported request types.");
     return [];
+  }
+
+  reportUnsupportedTypes(filter.contentType, 0, diagnose);
 
   let [conditions, isGenericFilter] = getConditions(
-    filter, urlFilter, resourceTypes, matchCase
+    filter, urlFilter, resourceTypes, matchCase, extendedOptions
   );
   let priority = isGenericFilter ? GENERIC_PRIORITY : SPECIFIC_PRIORITY;
 
@@ -197,14 +781,22 @@ function generateRedirectRules(filter, urlFilter, matchCase)
   }));
 }
 
-function generateCSPRules(filter, urlFilter, matchCase)
+function generateCSPRules(filter, urlFilter, matchCase, extendedOptions,
+                          diagnose)
 {
   let [conditions, isGenericFilter] = getConditions(
-    filter, urlFilter, MAIN_FRAME_SUB_FRAME, matchCase
+    filter, urlFilter, MAIN_FRAME_SUB_FRAME, matchCase, extendedOptions
   );
   let priority = filter.contentType & contentTypes.GENERICBLOCK ?
                    GENERIC_PRIORITY : SPECIFIC_PRIORITY;
 
+  if (filter instanceof AllowingFilter)
+  {
+    diagnose(diagnosticCodes.APPROXIMATE_CSP_ALLOWLISTING,
+             "The filter was converted to allow rules, which could also " +
+             "prevent $subdocument blocking filters from blocking frames.");
+  }
+
   return conditions.map(condition =>
   {
     if (filter instanceof AllowingFilter)
@@ -236,29 +828,208 @@ function generateCSPRules(filter, urlFilter, matchCase)
   });
 }
 
-function generateBlockRules(filter, urlFilter, matchCase)
+function generateRemoveParamRules(filter, urlFilter, matchCase,
+                                  extendedOptions, diagnose)
+{
+  let removeParam = extendedOptions.get("removeparam");
+  let allowing = filter instanceof AllowingFilter;
+  let transform;
+
+  if (removeParam && (removeParam.startsWith("~") ||
+                      /^\/.*\/[a-z]*$/.test(removeParam)))
+  {
+    // Keeping only the given parameter, or removing those matching a regular
+    // expression, isn't possible with a queryTransform.
+    if (!allowing)
+    {
+      diagnose(diagnosticCodes.UNSUPPORTED_REMOVEPARAM,
+               "Only named query parameters, or all of them, can be removed.");
+      return [];
+    }
+  }
+  else if (removeParam)
+  {
+    transform = {queryTransform: {removeParams: [removeParam]}};
+  }
+  else
+  {
+    transform = {query: ""};
+  }
+
+  if (allowing && removeParam)
+  {
+    diagnose(diagnosticCodes.APPROXIMATE_REMOVEPARAM_ALLOWLISTING,
+             "The filter was converted to allow rules, which prevent the " +
+             "removal of all query parameters, not only \"" + removeParam +
+             "\".");
+  }
+
+  // Query parameters are usually removed from the URLs of documents, so
+  // unless the filter has type options, match main_frame and sub_frame
+  // requests.
+  let resourceTypes = MAIN_FRAME_SUB_FRAME;
+  if (filter.contentType != RESOURCE_TYPES)
+  {
+    resourceTypes = getResourceTypes(filter.contentType);
+
+    if (resourceTypes && resourceTypes.length == 0)
+    {
+      diagnose(diagnosticCodes.UNSUPPORTED_CONTENT_TYPES,
+               "The filter doesn't apply to any supported request types.");
+      return [];
+    }
+
+    reportUnsupportedTypes(filter.contentType, 0, diagnose);
+  }
+
+  let [conditions] = getConditions(filter, urlFilter, resourceTypes,
+                                   matchCase, extendedOptions);
+
+  return conditions.map(condition =>
+  {
+    if (allowing)
+    {
+      return {
+        priority: REMOVEPARAM_ALLOW_PRIORITY,
+        condition,
+        action: {type: "allow"}
+      };
+    }
+
+    return {
+      priority: REMOVEPARAM_PRIORITY,
+      condition,
+      action: {
+        type: "redirect",
+        redirect: {transform}
+      }
+    };
+  });
+}
+
+function generateHeaderRules(filter, urlFilter, matchCase, extendedOptions,
+                             diagnose)
 {
   let resourceTypes = getResourceTypes(filter.contentType);
 
   // Ignore filters with only unsupported resource types.
   if (resourceTypes && resourceTypes.length == 0)
+  {
+    diagnose(diagnosticCodes.UNSUPPORTED_CONTENT_TYPES,
+             "The filter doesn't apply to any supported request types.");
     return [];
+  }
 
-  let [conditions, isGenericFilter] = getConditions(
-    filter, urlFilter, resourceTypes, matchCase
-  );
-  let priority = isGenericFilter ? GENERIC_PRIORITY : SPECIFIC_PRIORITY;
+  reportUnsupportedTypes(filter.contentType, 0, diagnose);
 
-  return conditions.map(condition => ({
-    priority,
-    condition,
-    action: {
-      type: "block"
+  let [conditions] = getConditions(filter, urlFilter, resourceTypes,
+                                   matchCase, extendedOptions);
+
+  if (filter instanceof AllowingFilter)
+  {
+    diagnose(diagnosticCodes.APPROXIMATE_HEADER_ALLOWLISTING,
+             "The filter was converted to allow rules, which prevent the " +
+             "removal of query parameters by $removeparam filters too.");
+
+    return conditions.map(condition => ({
+      priority: HEADER_ALLOW_PRIORITY,
+      condition,
+      action: {type: "allow"}
+    }));
+  }
+
+  // Header values match if they contain the filter's value, which is matched
+  // literally, so its * and ? characters have to be escaped.
+  let {name, value} = filter.header;
+  let headerCondition = {header: name};
+  if (value)
+    headerCondition.values = ["*" + value.replace(/[*?]/g, "\\$&") + "*"];
+
+  return conditions.map(condition =>
+  {
+    condition.responseHeaders = [Object.assign({}, headerCondition)];
+    return {
+      priority: HEADER_PRIORITY,
+      condition,
+      action: {type: "block"}
+    };
+  });
+}
+
+function generateBlockRules(filter, urlFilter, matchCase, extendedOptions,
+                            diagnose, blockedPagePath)
+{
+  let rules = [];
+  let {contentType} = filter;
+
+  // Blocking filters with the $document option block whole websites, so
+  // they apply to main_frame requests. Those can be redirected to a page
+  // explaining why the website was blocked instead.
+  if (contentType & contentTypes.DOCUMENT)
+  {
+    contentType &= ~contentTypes.DOCUMENT;
+
+    let [conditions, isGenericFilter] = getConditions(
+      filter, urlFilter, MAIN_FRAME_SUB_FRAME, matchCase, extendedOptions
+    );
+    let priority = isGenericFilter ? GENERIC_PRIORITY : SPECIFIC_PRIORITY;
+
+    for (let condition of conditions)
+    {
+      if (!condition.resourceTypes.includes("main_frame"))
+        continue;
+
+      let action = {type: "block"};
+      if (blockedPagePath)
+      {
+        action = {
+          type: "redirect",
+          redirect: {extensionPath: blockedPagePath}
+        };
+      }
+
+      condition.resourceTypes = ["main_frame"];
+      rules.push({priority, condition, action});
     }
-  }));
+  }
+
+  let resourceTypes = getResourceTypes(contentType);
+  if (!resourceTypes || resourceTypes.length)
+  {
+    let [conditions, isGenericFilter] = getConditions(
+      filter, urlFilter, resourceTypes, matchCase, extendedOptions
+    );
+    let priority = isGenericFilter ? GENERIC_PRIORITY : SPECIFIC_PRIORITY;
+
+    for (let condition of conditions)
+    {
+      rules.push({
+        priority,
+        condition,
+        action: {
+          type: "block"
+        }
+      });
+    }
+  }
+
+  // Ignore filters with only unsupported resource types.
+  if (rules.length == 0)
+  {
+    diagnose(diagnosticCodes.UNSUPPORTED_CONTENT_TYPES,
+             "The filter doesn't apply to any supported request types.");
+  }
+  else
+  {
+    reportUnsupportedTypes(filter.contentType, contentTypes.DOCUMENT,
+                           diagnose);
+  }
+
+  return rules;
 }
 
-function generateAllowRules(filter, urlFilter, matchCase)
+function generateAllowRules(filter, urlFilter, matchCase, extendedOptions,
+                            diagnose)
 {
   let rules = [];
   let {contentType} = filter;
@@ -272,7 +1043,8 @@ function generateAllowRules(filter, urlFilter, matchCase)
     let priority = genericBlock ?
                     GENERIC_ALLOW_ALL_PRIORITY : SPECIFIC_ALLOW_ALL_PRIORITY;
     for (let condition of getConditions(filter, urlFilter,
-                                        MAIN_FRAME_SUB_FRAME, matchCase)[0])
+                                        MAIN_FRAME_SUB_FRAME, matchCase,
+                                        extendedOptions)[0])
     {
       rules.push({
         priority,
@@ -289,7 +1061,8 @@ function generateAllowRules(filter, urlFilter, matchCase)
   {
     let priority = genericBlock ? GENERIC_PRIORITY : SPECIFIC_PRIORITY;
     for (let condition of getConditions(filter, urlFilter,
-                                        resourceTypes, matchCase)[0])
+                                        resourceTypes, matchCase,
+                                        extendedOptions)[0])
     {
       rules.push({
         priority,
@@ -301,6 +1074,18 @@ function generateAllowRules(filter, urlFilter, matchCase)
     }
   }
 
+  if (rules.length == 0)
+  {
+    diagnose(diagnosticCodes.UNSUPPORTED_CONTENT_TYPES,
+             "The filter doesn't apply to any supported request types.");
+  }
+  else
+  {
+    reportUnsupportedTypes(filter.contentType,
+                           contentTypes.DOCUMENT | contentTypes.GENERICBLOCK,
+                           diagnose);
+  }
+
   return rules;
 }
 
@@ -316,31 +1101,128 @@ function generateAllowRules(filter, urlFilter, matchCase)
  *   ignored.
  *   See https://developer.chrome.com/extensions/declarativeNetRequest#method-isRegexSupported
  *   for the expected function signature.
+ * @param {Object} [options]
+ * @param {function} [options.onDiagnostic]
+ *   Called with a `{code, message}` Object whenever the filter is skipped, or
+ *   is only partly converted. The `code` is one of `diagnosticCodes`.
+ * @param {string[]} [options.publicSuffixes]
+ *   The public suffixes (e.g. "com" or "co.uk") that wildcard domains in the
+ *   $domain option, like example.*, are expanded with. Defaults to the list
+ *   in data/publicSuffixes.json.
+ * @param {number} [options.maxWildcardDomains=1000]
+ *   The maximum number of domains a filter's wildcard domains are expanded
+ *   to, any further domains are left out.
+ * @param {string} [options.blockedPagePath]
+ *   The path of a page in the extension (e.g. "/blocked.html") to redirect
+ *   websites blocked by $document blocking filters to. If omitted, those
+ *   websites are blocked outright.
+ * @param {number} [options.minimumChromeVersion]
+ *   The oldest version of Chrome the rules need to work with. Filters which
+ *   can only be converted to rules that older versions don't support (e.g.
+ *   $header filters, which require Chrome 128) are ignored.
  * @returns {Object[]}
  *   The generated rules.
  *   Note: The rules do not have an ID assigned, take care to assign IDs before
  *         using them.
  */
-async function convertFilter(filter, isRegexSupported)
+async function convertFilter(filter, isRegexSupported, options = {})
 {
-  filter = Filter.fromText(filter.text);
+  let diagnose = (code, message) =>
+  {
+    if (options.onDiagnostic)
+      options.onDiagnostic({code, message});
+  };
+
+  let {publicSuffixes = defaultPublicSuffixes,
+       maxWildcardDomains = MAX_WILDCARD_DOMAINS} = options;
+  let {text, omitted} = expandWildcardDomains(filter.text, publicSuffixes,
+                                              maxWildcardDomains);
+  if (omitted > 0)
+  {
+    diagnose(diagnosticCodes.WILDCARD_DOMAIN_LIMIT,
+             "The filter's wildcard domains were expanded to too many " +
+             "domains, " + omitted + " domains were left out (the limit is " +
+             maxWildcardDomains + ").");
+  }
+
+  let extendedOptions;
+  ({text, extendedOptions} = splitExtendedOptions(encodeFilterText(text)));
+
+  filter = Filter.fromText(text);
+
+  if (extendedOptions.has("denyallow") &&
+      !isValidDomainList(extendedOptions.get("denyallow")))
+  {
+    diagnose(diagnosticCodes.INVALID_FILTER,
+             "The filter is invalid ($denyallow requires a list of domains).");
+    return [];
+  }
+
+  if (extendedOptions.has("to") &&
+      !isValidDomainList(extendedOptions.get("to"), true))
+  {
+    diagnose(diagnosticCodes.INVALID_FILTER,
+             "The filter is invalid ($to requires a list of domains).");
+    return [];
+  }
+
+  if (extendedOptions.has("method") &&
+      !getRequestMethods(extendedOptions.get("method")))
+  {
+    diagnose(diagnosticCodes.INVALID_FILTER,
+             "The filter is invalid ($method requires a list of request " +
+             "methods).");
+    return [];
+  }
+
+  if (extendedOptions.has("badfilter"))
+  {
+    diagnose(diagnosticCodes.BADFILTER,
+             "$badfilter filters don't generate rules themselves, they " +
+             "disable other filters (see applyBadFilters).");
+    return [];
+  }
 
   // Ignore non-filters.
   if (!(filter instanceof Filter))
+  {
+    diagnose(diagnosticCodes.NOT_A_FILTER, "This is not a filter.");
     return [];
+  }
   // Ignore comment and invalid filters.
-  if (filter instanceof CommentFilter || filter instanceof InvalidFilter)
+  if (filter instanceof CommentFilter)
+  {
+    diagnose(diagnosticCodes.COMMENT, "Comments are ignored.");
+    return [];
+  }
+  if (filter instanceof InvalidFilter)
+  {
+    diagnose(diagnosticCodes.INVALID_FILTER,
+             "The filter is invalid (" + filter.reason +
+             (filter.option ? ": " + filter.option : "") + ").");
     return [];
-  // Ignore filters containing Unicode
-  // See https://issues.adblockplus.org/ticket/6647
-  if (/[^\x00-\x7F]/.test(filter.text))
+  }
+  // Ignore filters containing Unicode which couldn't be converted (see
+  // `encodeFilterText`).
+  if (NON_ASCII_REGEXP.test(filter.text))
+  {
+    diagnose(diagnosticCodes.UNICODE,
+             "The filter's non-ASCII characters can't be converted.");
     return [];
+  }
   // Ignore $sitekey filters.
   if (filter.sitekeys)
+  {
+    diagnose(diagnosticCodes.SITEKEY, "The $sitekey option is not supported.");
     return [];
+  }
   // Ignore content (e.g. element hiding) filters.
   if (filter instanceof ContentFilter)
+  {
+    diagnose(diagnosticCodes.CONTENT_FILTER,
+             "Content filters can't be converted to request rules.");
     return [];
+  }
 
   let {matchCase, pattern: urlFilter} = filter;
   let hostname;
@@ -371,91 +1253,201 @@ async function convertFilter(filter, isRegexSupported)
     if (urlFilter.startsWith("||*"))
       urlFilter = urlFilter.substr(3);
   }
-  else if (filter.regexp &&
-           !(isRegexSupported &&
-             (await isRegexSupported({
-               regex: filter.regexp.source,
-               isCaseSensitive: matchCase
-             })).isSupported))
+  else if (filter.regexp)
   {
-    return [];
+    if (!isRegexSupported)
+    {
+      diagnose(diagnosticCodes.UNSUPPORTED_REGEXP,
+               "Regular expression filters are ignored, since no " +
+               "isRegexSupported function was provided.");
+      return [];
+    }
+
+    let {isSupported, reason} = await isRegexSupported({
+      regex: filter.regexp.source,
+      isCaseSensitive: matchCase
+    });
+    if (!isSupported)
+    {
+      diagnose(diagnosticCodes.UNSUPPORTED_REGEXP,
+               "The regular expression is not supported" +
+               (reason ? " (" + reason + ")." : "."));
+      return [];
+    }
   }
 
   let result;
 
-  if (filter.contentType & contentTypes.CSP)
-    result = generateCSPRules(filter, urlFilter, matchCase);
+  if (extendedOptions.has("removeparam"))
+  {
+    result = generateRemoveParamRules(filter, urlFilter, matchCase,
+                                      extendedOptions, diagnose);
+  }
+  else if (filter.contentType & contentTypes.HEADER)
+  {
+    if (options.minimumChromeVersion < RESPONSE_HEADERS_CHROME_VERSION)
+    {
+      diagnose(diagnosticCodes.UNSUPPORTED_CHROME_VERSION,
+               "$header filters require Chrome " +
+               RESPONSE_HEADERS_CHROME_VERSION + " or newer.");
+      return [];
+    }
+
+    result = generateHeaderRules(filter, urlFilter, matchCase,
+                                 extendedOptions, diagnose);
+  }
+  else if (filter.contentType & contentTypes.CSP)
+    result = generateCSPRules(filter, urlFilter, matchCase,
+                              extendedOptions, diagnose);
   else if (filter instanceof AllowingFilter)
-    result = generateAllowRules(filter, urlFilter, matchCase);
+    result = generateAllowRules(filter, urlFilter, matchCase,
+                                extendedOptions, diagnose);
   else if (filter.rewrite)
-    result = generateRedirectRules(filter, urlFilter, matchCase);
+    result = generateRedirectRules(filter, urlFilter, matchCase,
+                                   extendedOptions, diagnose);
   else
-    result = generateBlockRules(filter, urlFilter, matchCase);
+    result = generateBlockRules(filter, urlFilter, matchCase,
+                                extendedOptions, diagnose,
+                                options.blockedPagePath);
+
+  if (extendedOptions.has("important"))
+  {
+    for (let rule of result)
+    {
+      // Allow rules with a priority below the usual ones only cancel
+      // $removeparam or $header filters, and it's best they continue to.
+      if (rule.action.type == "allow" && rule.priority < GENERIC_PRIORITY)
+        continue;
+
+      rule.priority = rule.action.type == "allowAllRequests" ?
+                        IMPORTANT_ALLOW_ALL_PRIORITY : IMPORTANT_PRIORITY;
+    }
+  }
 
   return result;
 }
 
+/**
+ * Rules which only differ by the domain their `||example.com^` style
+ * urlFilter matches can be combined into one rule with a requestDomains
+ * condition. For such a rule, this returns the key shared by the rules it
+ * can be combined with, along with its domain and urlFilter.
+ * @param {Object} rule
+ * @returns {?Object}
+ *   The `{key, domain, urlFilter}` of the rule, or null if it can't be
+ *   combined with other rules.
+ */
+function getRequestDomainsGroup(rule)
+{
+  let {condition} = rule;
+  if (!condition || !condition.urlFilter ||
+      condition.requestDomains || condition.excludedRequestDomains)
+    return null;
+
+  let match = URLFILTER_PARTS_REGEXP.exec(condition.urlFilter);
+  if (!match || match[1] != "||" || !match[2] || match[3] != "^")
+    return null;
+
+  condition = Object.assign({}, condition);
+  delete condition.urlFilter;
+
+  return {
+    key: JSON.stringify(Object.assign({}, rule, {condition})),
+    domain: match[2].toLowerCase(),
+    urlFilter: rule.condition.urlFilter
+  };
+}
+
+/**
+ * Creates the rule for a group of rules sharing the given key (see
+ * `getRequestDomainsGroup`).
+ * @param {string} key
+ * @param {string[]} domains
+ *   The domains of the rules in the group.
+ * @param {string} urlFilter
+ *   The urlFilter to use if there's only one rule in the group.
+ * @returns {Object}
+ */
+function createGroupRule(key, domains, urlFilter)
+{
+  let rule = JSON.parse(key);
+  if (domains.length > 1)
+    rule.condition.requestDomains = domains;
+  else
+    rule.condition.urlFilter = urlFilter;
+  return rule;
+}
+
 /**
  * Take an array of declarativeNetRequest rules, combine where
  * possible and return the hopefully shorter array of rules.
  * Notes:
  *  - Ensure that the rules passed in do not have IDs.
  *  - Using this function will invalidate any filter to rule mapping that you
- *    may have.
+ *    may have, unless it's passed in as `ruleSources`.
  *  - Ordering of the rules is not preserved and the rule Objects may be
  *    mutated or replaced.
  *  - The implementation of this algorithm is rather crude and could certainly
  *    be improved given more time.
  * @param {Object[]} rules
  *   The array of rules to shrink.
+ * @param {Map.<Object, Array>} [ruleSources]
+ *   Optional mapping of rules to their sources (e.g. the filters and line
+ *   numbers they were generated from). It's updated in place, so that the
+ *   returned rules map to the sources of all the rules they replaced.
  * @returns {Object[]}
  */
-function compressRules(rules)
+function compressRules(rules, ruleSources)
 {
   let compressedRules = [];
   let requestDomainsByStringifiedRule = new Map();
   let urlFilterByStringifiedRule = new Map();
+  let sourcesByStringifiedRule = new Map();
 
   for (let rule of rules)
   {
-    if (rule.condition &&
-        rule.condition.urlFilter &&
-        !rule.condition.requestDomains &&
-        !rule.condition.excludedRequestDomains)
+    let group = getRequestDomainsGroup(rule);
+    if (!group)
     {
-      let match = URLFILTER_PARTS_REGEXP.exec(rule.condition.urlFilter);
-      if (match && match[1] == "||" && match[2] && match[3] == "^")
-      {
-        let {urlFilter} = rule.condition;
-        delete rule.condition.urlFilter;
+      compressedRules.push(rule);
+      continue;
+    }
 
-        let key = JSON.stringify(rule);
-        urlFilterByStringifiedRule.set(key, urlFilter);
+    let {key, domain, urlFilter} = group;
+    urlFilterByStringifiedRule.set(key, urlFilter);
 
-        let requestDomains = requestDomainsByStringifiedRule.get(key);
-        if (!requestDomains)
-        {
-          requestDomains = [];
-          requestDomainsByStringifiedRule.set(key, requestDomains);
-        }
-        requestDomains.push(match[2].toLowerCase());
-        continue;
-      }
+    let requestDomains = requestDomainsByStringifiedRule.get(key);
+    if (!requestDomains)
+    {
+      requestDomains = [];
+      requestDomainsByStringifiedRule.set(key, requestDomains);
     }
+    requestDomains.push(domain);
 
-    compressedRules.push(rule);
+    if (ruleSources)
+    {
+      let sources = sourcesByStringifiedRule.get(key);
+      if (!sources)
+      {
+        sources = [];
+        sourcesByStringifiedRule.set(key, sources);
+      }
+      sources.push(...ruleSources.get(rule) || []);
+      ruleSources.delete(rule);
+    }
   }
 
   for (let [stringifiedRule, domains] of requestDomainsByStringifiedRule)
   {
-    let rule = JSON.parse(stringifiedRule);
-    if (domains.length > 1)
-      rule.condition.requestDomains = domains;
-    else
-      rule.condition.urlFilter =
-        urlFilterByStringifiedRule.get(stringifiedRule);
+    compressedRules.push(createGroupRule(
+      stringifiedRule, domains, urlFilterByStringifiedRule.get(stringifiedRule)
+    ));
 
-    compressedRules.push(rule);
+    if (ruleSources)
+    {
+      ruleSources.set(compressedRules[compressedRules.length - 1],
+                      sourcesByStringifiedRule.get(stringifiedRule));
+    }
   }
 
   return compressedRules;
@@ -463,7 +1455,19 @@ function compressRules(rules)
 
 exports.convertFilter = convertFilter;
 exports.compressRules = compressRules;
+exports.applyBadFilters = applyBadFilters;
+exports.isBadFilter = isBadFilter;
+exports.splitExtendedOptions = splitExtendedOptions;
+exports.getRequestDomainsGroup = getRequestDomainsGroup;
+exports.createGroupRule = createGroupRule;
+exports.diagnosticCodes = diagnosticCodes;
 exports.GENERIC_PRIORITY = GENERIC_PRIORITY;
 exports.GENERIC_ALLOW_ALL_PRIORITY = GENERIC_ALLOW_ALL_PRIORITY;
 exports.SPECIFIC_PRIORITY = SPECIFIC_PRIORITY;
 exports.SPECIFIC_ALLOW_ALL_PRIORITY = SPECIFIC_ALLOW_ALL_PRIORITY;
+exports.IMPORTANT_PRIORITY = IMPORTANT_PRIORITY;
+exports.IMPORTANT_ALLOW_ALL_PRIORITY = IMPORTANT_ALLOW_ALL_PRIORITY;
+exports.REMOVEPARAM_PRIORITY = REMOVEPARAM_PRIORITY;
+exports.REMOVEPARAM_ALLOW_PRIORITY = REMOVEPARAM_ALLOW_PRIORITY;
+exports.HEADER_PRIORITY = HEADER_PRIORITY;
+exports.HEADER_ALLOW_PRIORITY = HEADER_ALLOW_PRIORITY;
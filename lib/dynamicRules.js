@@ -0,0 +1,141 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module dynamicRules */
+
+"use strict";
+
+const {getRuleKeys} = require("./ruleIds");
+
+/**
+ * Chrome's limits for dynamic rules.
+ * See https://developer.chrome.com/docs/extensions/reference/declarativeNetRequest/#property
+ * @type {Object}
+ */
+const DYNAMIC_RULE_LIMITS = Object.freeze({
+  // MAX_NUMBER_OF_DYNAMIC_RULES
+  maxRules: 30000,
+  // MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES
+  maxUnsafeRules: 5000,
+  // MAX_NUMBER_OF_REGEX_RULES
+  maxRegexRules: 1000
+});
+
+// Rules with other action types (e.g. redirect and modifyHeaders) are
+// considered unsafe, and there's a lower limit for those.
+const safeActionTypes = new Set([
+  "block", "allow", "allowAllRequests", "upgradeScheme"
+]);
+
+/**
+ * Checks that the given rules don't exceed the limits for dynamic rules.
+ * @param {Object[]} rules
+ *   The dynamic rules.
+ * @param {Object} [limits]
+ *   Limits to use instead of (some of) `DYNAMIC_RULE_LIMITS`.
+ * @throws {Error}
+ *   If the rules exceed the limits.
+ */
+function checkDynamicRuleLimits(rules, limits = {})
+{
+  limits = Object.assign({}, DYNAMIC_RULE_LIMITS, limits);
+
+  let unsafeRuleCount = 0;
+  let regexRuleCount = 0;
+  for (let rule of rules)
+  {
+    if (!safeActionTypes.has(rule.action.type))
+      unsafeRuleCount++;
+    if (rule.condition && rule.condition.regexFilter)
+      regexRuleCount++;
+  }
+
+  let counts = [
+    [rules.length, limits.maxRules, "dynamic rules"],
+    [unsafeRuleCount, limits.maxUnsafeRules, "unsafe dynamic rules"],
+    [regexRuleCount, limits.maxRegexRules, "regular expression dynamic rules"]
+  ];
+  for (let [count, limit, description] of counts)
+  {
+    if (count > limit)
+    {
+      throw new Error("Too many " + description + " (" + count + " of " +
+                      limit + " allowed).");
+    }
+  }
+}
+
+/**
+ * Works out the update to apply with `updateDynamicRules`, in order to replace
+ * the current dynamic rules with the given rules. Rules which didn't change
+ * keep their IDs, and aren't included in the update.
+ * @param {Object[]} previousRules
+ *   The current dynamic rules, with their IDs.
+ * @param {Object[]} rules
+ *   The rules to replace them with, their `id` property is set.
+ * @param {Object} [limits]
+ *   Limits to use instead of (some of) `DYNAMIC_RULE_LIMITS`.
+ * @returns {Object}
+ *   The `{addRules, removeRuleIds}` Object to pass to `updateDynamicRules`.
+ * @throws {Error}
+ *   If the rules exceed the limits for dynamic rules.
+ */
+function diffRules(previousRules, rules, limits = {})
+{
+  checkDynamicRuleLimits(rules, limits);
+
+  let previousIds = new Map();
+  let previousKeys = getRuleKeys(previousRules);
+  for (let i = 0; i < previousRules.length; i++)
+    previousIds.set(previousKeys[i], previousRules[i].id);
+
+  let keptIds = new Set();
+  let addedRules = [];
+  let keys = getRuleKeys(rules);
+  for (let i = 0; i < rules.length; i++)
+  {
+    let id = previousIds.get(keys[i]);
+    if (typeof id == "undefined")
+    {
+      addedRules.push(rules[i]);
+    }
+    else
+    {
+      rules[i].id = id;
+      keptIds.add(id);
+    }
+  }
+
+  let removeRuleIds = previousRules.map(rule => rule.id)
+                                   .filter(id => !keptIds.has(id));
+
+  // Since rules are removed before any are added, the IDs of removed rules
+  // can be given to the added rules.
+  let id = 1;
+  for (let rule of addedRules)
+  {
+    while (keptIds.has(id))
+      id++;
+    rule.id = id++;
+  }
+
+  return {addRules: addedRules, removeRuleIds};
+}
+
+exports.DYNAMIC_RULE_LIMITS = DYNAMIC_RULE_LIMITS;
+exports.checkDynamicRuleLimits = checkDynamicRuleLimits;
+exports.diffRules = diffRules;
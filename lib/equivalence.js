@@ -0,0 +1,321 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module equivalence */
+
+"use strict";
+
+const {
+  AllowingFilter,
+  BlockingFilter,
+  Filter
+} = require("adblockpluscore/lib/filterClasses");
+const {CombinedMatcher, Matcher} = require("adblockpluscore/lib/matcher");
+const {contentTypes} = require("adblockpluscore/lib/contentTypes");
+const rewriteResources = require("adblockpluscore/data/resources");
+
+const {
+  convertFilter,
+  compressRules,
+  applyBadFilters,
+  splitExtendedOptions
+} = require("./abp2dnr");
+const {testMatchOutcome} = require("./requestMatcher");
+
+// Options which change whether filters apply, but which Adblock Plus doesn't
+// support. Filters with those options can't be checked.
+const uncheckedOptionNames = ["denyallow", "important", "method", "to"];
+
+const abpContentTypes = new Map([
+  ["sub_frame", contentTypes.SUBDOCUMENT],
+  ["stylesheet", contentTypes.STYLESHEET],
+  ["script", contentTypes.SCRIPT],
+  ["image", contentTypes.IMAGE],
+  ["font", contentTypes.FONT],
+  ["object", contentTypes.OBJECT],
+  ["xmlhttprequest", contentTypes.XMLHTTPREQUEST],
+  ["ping", contentTypes.PING],
+  ["csp_report", contentTypes.OTHER],
+  ["media", contentTypes.MEDIA],
+  ["websocket", contentTypes.WEBSOCKET],
+  ["other", contentTypes.OTHER]
+]);
+
+function getHostname(url)
+{
+  return url ? new URL(url).hostname : null;
+}
+
+function getFrames({type, initiator, frames})
+{
+  if (frames)
+    return frames;
+  return initiator && type != "main_frame" ? [initiator] : [];
+}
+
+function getABPOutcome(matcher, documentMatcher, request)
+{
+  let {url, type} = request;
+  let docDomain = getHostname(request.initiator);
+  let isFrame = type == "main_frame" || type == "sub_frame";
+
+  // Documents (and for frame requests, the frame itself) can be allowlisted
+  // with $document, or have generic blocking filters disabled with
+  // $genericblock.
+  let frames = getFrames(request).map((frameUrl, i, allFrames) => ({
+    url: frameUrl,
+    parentHostname: i > 0 ? getHostname(allFrames[i - 1]) : null
+  }));
+  if (isFrame)
+    frames.push({url, parentHostname: docDomain});
+
+  let specificOnly = false;
+  for (let frame of frames)
+  {
+    let filter = matcher.match(frame.url, contentTypes.DOCUMENT,
+                               frame.parentHostname);
+    if (filter instanceof AllowingFilter)
+      return {outcome: {action: "allow", csp: []}, filters: [filter.text]};
+
+    if (matcher.match(frame.url, contentTypes.GENERICBLOCK,
+                      frame.parentHostname))
+      specificOnly = true;
+  }
+
+  let outcome = {action: "allow", csp: []};
+  let filters = [];
+
+  // Blocking filters with the $document option block whole websites, their
+  // $domain option applying to the website's own domain. Adblock Plus'
+  // CombinedMatcher only matches $document exceptions, so those filters are
+  // matched separately.
+  if (type == "main_frame")
+  {
+    let filter = documentMatcher.match(url, contentTypes.DOCUMENT,
+                                       getHostname(url), null, specificOnly);
+    if (filter)
+    {
+      outcome.action = "block";
+      return {outcome, filters: [filter.text]};
+    }
+  }
+
+  if (abpContentTypes.has(type))
+  {
+    let filter = matcher.match(url, abpContentTypes.get(type), docDomain, null,
+                               specificOnly);
+    if (filter)
+    {
+      filters.push(filter.text);
+      if (filter instanceof BlockingFilter)
+      {
+        if (filter.rewrite)
+        {
+          outcome.action = "redirect";
+          outcome.redirectUrl = rewriteResources[filter.rewrite];
+        }
+        else
+        {
+          outcome.action = "block";
+        }
+        return {outcome, filters};
+      }
+    }
+
+    // $header filters block requests once their response headers are known,
+    // unless there's a $header exception.
+    if (request.responseHeaders)
+    {
+      let {blocking, allowing} = matcher.search(
+        url, abpContentTypes.get(type) | contentTypes.HEADER, docDomain, null,
+        specificOnly
+      );
+      let headerFilter = blocking.find(
+        blockingFilter => blockingFilter.header &&
+                          blockingFilter.filterHeaders(request.responseHeaders)
+      );
+      if (headerFilter &&
+          !allowing.some(({contentType}) => contentType & contentTypes.HEADER))
+      {
+        filters.push(headerFilter.text);
+        outcome.action = "block";
+        return {outcome, filters};
+      }
+    }
+  }
+
+  if (isFrame)
+  {
+    // Context types like $csp need to be matched along with a resource type.
+    let {blocking, allowing} = matcher.search(
+      url, contentTypes.CSP | contentTypes.SUBDOCUMENT, docDomain, null,
+      specificOnly
+    );
+    let allowedPolicies = new Set();
+    let allowAll = false;
+    for (let filter of allowing)
+    {
+      if (filter.csp)
+        allowedPolicies.add(filter.csp);
+      else
+        allowAll = true;
+    }
+
+    for (let filter of blocking)
+    {
+      if (allowAll || allowedPolicies.has(filter.csp))
+        continue;
+      filters.push(filter.text);
+      outcome.csp.push(filter.csp);
+    }
+    if (blocking.length && allowing.length)
+      filters.push(...allowing.map(filter => filter.text));
+  }
+
+  return {outcome, filters};
+}
+
+function getDNROutcome(rules, request)
+{
+  let matchedRules = testMatchOutcome(rules, request);
+  let outcome = {action: "allow", csp: []};
+
+  for (let rule of matchedRules)
+  {
+    let {action} = rule;
+
+    if (action.type == "block")
+    {
+      outcome.action = "block";
+    }
+    else if (action.type == "redirect" && action.redirect.transform)
+    {
+      // Rules generated from $removeparam filters only rewrite the URL's
+      // query, which Adblock Plus doesn't do, so they're left out.
+      continue;
+    }
+    else if (action.type == "redirect")
+    {
+      outcome.action = "redirect";
+      outcome.redirectUrl = action.redirect.url;
+    }
+    else if (action.type == "modifyHeaders")
+    {
+      for (let {header, value} of action.responseHeaders || [])
+      {
+        if (header.toLowerCase() == "content-security-policy")
+          outcome.csp.push(value);
+      }
+    }
+  }
+
+  return {outcome, rules: matchedRules};
+}
+
+function isSameOutcome(a, b)
+{
+  return a.action == b.action &&
+         a.redirectUrl == b.redirectUrl &&
+         a.csp.slice().sort().join("\n") == b.csp.slice().sort().join("\n");
+}
+
+/**
+ * Converts the given filters, then runs each of the requests through both
+ * Adblock Plus' matcher and the resulting declarativeNetRequest rules (see
+ * `testMatchOutcome`), to find where their outcomes differ.
+ * @param {string[]} filterTexts
+ *   The filters to check.
+ * @param {Object[]} requests
+ *   The request details to check, in the format that `testMatchOutcome`
+ *   expects.
+ * @param {function} [isRegexSupported]
+ *   See `convertFilter`.
+ * @param {Object} [options]
+ * @param {function} [options.onUnchecked]
+ *   Called with the text of each filter that is left out of the check, since
+ *   Adblock Plus doesn't support its options (e.g. $important or $to).
+ * @returns {Object[]}
+ *   The requests with differing outcomes. For each, the `request` details are
+ *   given, along with the `abp` and `dnr` results. Those contain the
+ *   `outcome`, as an Object with an `action` of "allow", "block" or
+ *   "redirect", plus any `redirectUrl` and list of injected `csp` values. The
+ *   `abp` results list the responsible `filters`, the `dnr` results list the
+ *   responsible `rules` along with the `filters` they were generated from.
+ */
+async function checkEquivalence(filterTexts, requests, isRegexSupported,
+                                options = {})
+{
+  let matcher = new CombinedMatcher();
+  let documentMatcher = new Matcher();
+  let rules = [];
+  let ruleSources = new Map();
+
+  filterTexts = applyBadFilters(filterTexts.map(text => Filter.normalize(text)))
+                  .filter(text => text != null);
+
+  for (let text of filterTexts)
+  {
+    let {extendedOptions} = splitExtendedOptions(text);
+    if (uncheckedOptionNames.some(name => extendedOptions.has(name)))
+    {
+      if (options.onUnchecked)
+        options.onUnchecked(text);
+      continue;
+    }
+
+    let filter = Filter.fromText(text);
+
+    if (filter instanceof BlockingFilter || filter instanceof AllowingFilter)
+      matcher.add(filter);
+    if (filter instanceof BlockingFilter &&
+        filter.contentType & contentTypes.DOCUMENT)
+      documentMatcher.add(filter);
+
+    for (let rule of await convertFilter(filter, isRegexSupported))
+    {
+      rules.push(rule);
+      ruleSources.set(rule, [filter.text]);
+    }
+  }
+
+  rules = compressRules(rules, ruleSources);
+
+  let id = 1;
+  for (let rule of rules)
+    rule.id = id++;
+
+  let differences = [];
+
+  for (let request of requests)
+  {
+    let abp = getABPOutcome(matcher, documentMatcher, request);
+    let dnr = getDNROutcome(rules, request);
+
+    if (!isSameOutcome(abp.outcome, dnr.outcome))
+    {
+      dnr.filters = [];
+      for (let rule of dnr.rules)
+        dnr.filters.push(...ruleSources.get(rule));
+
+      differences.push({request, abp, dnr});
+    }
+  }
+
+  return differences;
+}
+
+exports.checkEquivalence = checkEquivalence;
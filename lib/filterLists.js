@@ -0,0 +1,307 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module filterLists */
+
+"use strict";
+
+const crypto = require("crypto");
+
+const {Filter} = require("adblockpluscore/lib/filterClasses");
+
+const {convertFilter, compressRules, applyBadFilters,
+       diagnosticCodes} = require("./abp2dnr");
+const {preprocessFilterList} = require("./preprocessor");
+
+// Lines of a filter list which contain a filter (or comment), rather than
+// being blank or a header like [Adblock Plus 2.0].
+const FILTER_LINE_REGEXP = /^\s*[^[\s]/;
+
+// The header line a filter list starts with, e.g. [Adblock Plus 2.0].
+const HEADER_REGEXP = /^\s*\[Adblock(?:\s*Plus\s*([\d.]+)?)?\]/i;
+
+// Metadata comments at the start of a filter list, e.g. "! Title: EasyList".
+const METADATA_REGEXP = /^\s*!\s*(.*?)\s*:\s*(.*?)\s*$/;
+
+// Checksum comments, e.g. "! Checksum: 8Ju5HcKnBVSmkqZGjAqPxw".
+const CHECKSUM_REGEXP = /^\s*!\s*checksum[\s\-:]+([\w+/=]+)/i;
+
+const metadataFields = new Map([
+  ["title", "title"],
+  ["version", "version"],
+  ["expires", "expires"],
+  ["homepage", "homepage"],
+  ["last modified", "lastModified"],
+  ["checksum", "checksum"]
+]);
+
+// Returns the `{list, line}` of the given location (along with the included
+// `file`, if any), with the given properties.
+function getLocation(list, {line, file}, properties)
+{
+  let location = {list, line};
+  if (file)
+    location.file = file;
+  return Object.assign(location, properties);
+}
+
+// Merges rules with identical contents (e.g. generated from the same filter
+// in several lists), combining their sources.
+function mergeDuplicateRules(rules, ruleSources)
+{
+  let rulesByKey = new Map();
+
+  for (let rule of rules)
+  {
+    let key = JSON.stringify(rule);
+    let existingRule = rulesByKey.get(key);
+    if (!existingRule)
+    {
+      rulesByKey.set(key, rule);
+      continue;
+    }
+
+    ruleSources.get(existingRule).push(...ruleSources.get(rule));
+    ruleSources.delete(rule);
+  }
+
+  return Array.from(rulesByKey.values());
+}
+
+/**
+ * Converts several filter lists at once, as if they were one list: $badfilter
+ * filters apply to the filters of all the lists, and rules are combined across
+ * the lists (see `compressRules`). Alternatively, each list can be converted
+ * to a ruleset of its own.
+ * The lists' preprocessor directives are applied first, see
+ * `preprocessFilterList`.
+ * Rules are given sequential IDs, so that the IDs of the rulesets don't
+ * overlap.
+ * @param {Object[]} lists
+ *   The filter lists, as `{name, lines}` Objects, where `lines` are the lines
+ *   of the list's text. If the list is a file, its `name` should be the path
+ *   to it, since files are included relative to it.
+ * @param {function} [isRegexSupported]
+ *   See `convertFilter`.
+ * @param {Object} [options]
+ *   Options for `convertFilter`, and the following.
+ * @param {boolean} [options.rulesetPerList=false]
+ *   Convert each list to a ruleset of its own.
+ * @param {boolean} [options.compress=true]
+ *   Combine rules where possible (see `compressRules`).
+ * @param {number} [options.idStart=1]
+ *   The ID of the first rule.
+ * @param {string[]} [options.environment]
+ * @param {string} [options.includeRoot]
+ * @param {function} [options.readFile]
+ *   See `preprocessFilterList`.
+ * @param {function} [options.onDiagnostic]
+ *   See `convertFilter`. The diagnostic is given the `list` name, `line`
+ *   number and `filter` text too, along with the included `file` the line
+ *   came from (if any).
+ * @returns {Promise.<Object>}
+ *   The `rulesets`, as `{lists, rules}` Objects where `lists` are the names
+ *   of the lists the ruleset was generated from, and the `ruleSources`, as a
+ *   Map of each rule to the `{list, line, filter}` it was generated from (and
+ *   the included `file`, if any).
+ */
+async function convertFilterLists(lists, isRegexSupported, options = {})
+{
+  let {rulesetPerList = false, compress = true, idStart = 1,
+       environment, includeRoot, readFile, onDiagnostic} = options;
+
+  let filters = [];
+  lists.forEach(({name, lines}, listIndex) =>
+  {
+    let preprocessedLines = preprocessFilterList(lines, {
+      file: name, environment, includeRoot, readFile,
+      onDiagnostic(diagnostic)
+      {
+        if (onDiagnostic)
+        {
+          let {filter, code, message} = diagnostic;
+          onDiagnostic(getLocation(name, diagnostic, {filter, code, message}));
+        }
+      }
+    });
+
+    for (let location of preprocessedLines)
+    {
+      if (FILTER_LINE_REGEXP.test(location.text))
+      {
+        filters.push(getLocation(name, location, {
+          listIndex, text: Filter.normalize(location.text)
+        }));
+      }
+    }
+  });
+
+  // $badfilter filters can disable filters anywhere in the lists, so they
+  // have to be applied before converting any filters.
+  let filterTexts = applyBadFilters(filters.map(({text}) => text));
+
+  let rulesByList = lists.map(() => []);
+  let ruleSources = new Map();
+
+  for (let i = 0; i < filters.length; i++)
+  {
+    let {listIndex, text} = filters[i];
+    let diagnose = (code, message, filterText) =>
+    {
+      if (onDiagnostic)
+      {
+        onDiagnostic(getLocation(filters[i].list, filters[i],
+                                 {filter: filterText, code, message}));
+      }
+    };
+
+    if (filterTexts[i] == null)
+    {
+      diagnose(diagnosticCodes.DISABLED_BY_BADFILTER,
+               "The filter was disabled by a $badfilter filter.", text);
+      continue;
+    }
+
+    let filter = Filter.fromText(filterTexts[i]);
+    let filterOptions = Object.assign({}, options, {
+      onDiagnostic: ({code, message}) => diagnose(code, message, filter.text)
+    });
+    for (let rule of await convertFilter(filter, isRegexSupported,
+                                         filterOptions))
+    {
+      rulesByList[listIndex].push(rule);
+      ruleSources.set(rule, [getLocation(filters[i].list, filters[i],
+                                         {filter: filter.text})]);
+    }
+  }
+
+  let rulesets;
+  if (rulesetPerList)
+  {
+    rulesets = lists.map(({name}, i) => ({lists: [name],
+                                          rules: rulesByList[i]}));
+  }
+  else
+  {
+    rulesets = [{lists: lists.map(({name}) => name),
+                 rules: [].concat(...rulesByList)}];
+  }
+
+  let id = idStart;
+  for (let ruleset of rulesets)
+  {
+    if (compress)
+    {
+      ruleset.rules = compressRules(
+        mergeDuplicateRules(ruleset.rules, ruleSources), ruleSources
+      );
+    }
+
+    for (let rule of ruleset.rules)
+      rule.id = id++;
+  }
+
+  return {rulesets, ruleSources};
+}
+
+/**
+ * Parses the header of a filter list, i.e. the `[Adblock Plus 2.0]` line and
+ * the metadata comments (like `! Title: EasyList`) following it.
+ * @param {string[]} lines
+ *   The lines of the filter list.
+ * @returns {Object}
+ *   The list's metadata, with the `title`, `version`, `expires`, `homepage`,
+ *   `lastModified` and `checksum` values given by the list, or null if it
+ *   doesn't give them. The `minimumVersion` of Adblock Plus the list requires
+ *   is given by its header, and `expiresHours` is the `expires` interval
+ *   (e.g. "4 days") in hours.
+ */
+function parseListMetadata(lines)
+{
+  let metadata = {minimumVersion: null};
+  for (let key of metadataFields.values())
+    metadata[key] = null;
+
+  let i = 0;
+  let header = lines.length ? HEADER_REGEXP.exec(lines[0]) : null;
+  if (header)
+  {
+    metadata.minimumVersion = header[1] || null;
+    i++;
+  }
+
+  // Metadata can be given by any of the comments at the start of the list,
+  // the first value given for a field is used.
+  for (; i < lines.length && /^\s*!/.test(lines[i]); i++)
+  {
+    let match = METADATA_REGEXP.exec(lines[i]);
+    if (!match)
+      continue;
+
+    let key = metadataFields.get(match[1].toLowerCase());
+    if (key && metadata[key] == null)
+      metadata[key] = match[2];
+  }
+
+  // Intervals are given in days, unless they're given in hours.
+  metadata.expiresHours = null;
+  let expires = /^(\d+)\s*(h)?/i.exec(metadata.expires || "");
+  if (expires)
+    metadata.expiresHours = parseInt(expires[1], 10) * (expires[2] ? 1 : 24);
+
+  return metadata;
+}
+
+/**
+ * Checks the filter list against its `! Checksum:` comment, to detect lists
+ * which were corrupted or truncated (e.g. when downloading them). The
+ * checksum is the base64 encoded MD5 hash of the list's text, without the
+ * checksum comment and blank lines, as calculated by Adblock Plus.
+ * @param {string[]} lines
+ *   The lines of the filter list.
+ * @returns {?boolean}
+ *   If the list matches its checksum, or null if it doesn't have one.
+ */
+function verifyListChecksum(lines)
+{
+  let checksum = null;
+  let otherLines = [];
+  for (let line of lines)
+  {
+    let match = CHECKSUM_REGEXP.exec(line);
+    if (!match)
+      otherLines.push(line);
+    else if (checksum == null)
+      checksum = match[1].replace(/=+$/, "");
+  }
+
+  if (checksum == null)
+    return null;
+
+  // The lines are given without their line breaks, so it's unknown if the
+  // list ended with one. Either way is fine, as long as no filters are lost.
+  let text = otherLines.join("\n").replace(/\r/g, "");
+  return [text + "\n", text].some(
+    candidate => crypto.createHash("md5")
+                       .update(candidate.replace(/\n+/g, "\n"), "utf-8")
+                       .digest("base64").replace(/=+$/, "") == checksum
+  );
+}
+
+exports.convertFilterLists = convertFilterLists;
+exports.parseListMetadata = parseListMetadata;
+exports.verifyListChecksum = verifyListChecksum;
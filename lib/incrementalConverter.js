@@ -0,0 +1,336 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module incrementalConverter */
+
+"use strict";
+
+const {Filter} = require("adblockpluscore/lib/filterClasses");
+
+const {convertFilter, applyBadFilters, isBadFilter, getRequestDomainsGroup,
+       createGroupRule} = require("./abp2dnr");
+
+/**
+ * Converts a filter list to declarativeNetRequest rules, and keeps them up to
+ * date as filters are added to and removed from the list. Only the rules
+ * generated from the changed filters (and the rules they were combined with,
+ * see `compressRules`) are touched, and all other rules keep their IDs.
+ * $badfilter filters apply to the whole list, so adding or removing one
+ * converts the filters it matches again (see `applyBadFilters`).
+ * The state can be saved with `toJSON` and restored with `fromJSON`, so that
+ * diffs can be applied between runs.
+ */
+class IncrementalConverter
+{
+  /**
+   * @param {function} [isRegexSupported]
+   *   See `convertFilter`.
+   * @param {Object} [options]
+   *   See `convertFilter`.
+   */
+  constructor(isRegexSupported, options = {})
+  {
+    this.isRegexSupported = isRegexSupported;
+    this.options = options;
+
+    this.nextId = 1;
+    // The number of times each filter appears in the list.
+    this.filterCounts = new Map();
+    // Rules which can't be combined with others, by ID. For each, the rule
+    // and the filter it was generated from.
+    this.rules = new Map();
+    // Groups of rules which are combined into one rule, by their key (see
+    // getRequestDomainsGroup). For each, the rule ID and the filters, domains
+    // and urlFilters of the rules in the group.
+    this.groups = new Map();
+    // The IDs of the rules and the keys of the groups generated from each
+    // filter, along with the text it was converted as, once $badfilter
+    // filters were applied (null if it was disabled).
+    this.filterResults = new Map();
+    // The $badfilter filters in the list.
+    this.badFilters = new Set();
+  }
+
+  /**
+   * Restores a converter from the state returned by `toJSON`.
+   * @param {Object} state
+   * @param {function} [isRegexSupported]
+   * @param {Object} [options]
+   * @returns {IncrementalConverter}
+   */
+  static fromJSON(state, isRegexSupported, options)
+  {
+    let converter = new IncrementalConverter(isRegexSupported, options);
+    converter.nextId = state.nextId;
+
+    let filterTexts = state.filterCounts.map(([text]) => text);
+    let effectiveTexts = applyBadFilters(filterTexts);
+    state.filterCounts.forEach(([text, count], i) =>
+    {
+      converter.filterCounts.set(text, count);
+      converter.filterResults.set(text, {ruleIds: [], groupKeys: [],
+                                         effectiveText: effectiveTexts[i]});
+      if (isBadFilter(text))
+        converter.badFilters.add(text);
+    });
+
+    for (let {id, rule, filter} of state.rules)
+    {
+      converter.rules.set(id, {rule, filter});
+      converter.filterResults.get(filter).ruleIds.push(id);
+    }
+
+    for (let {key, id, entries} of state.groups)
+    {
+      converter.groups.set(key, {id, entries});
+      for (let {filter} of entries)
+      {
+        let {groupKeys} = converter.filterResults.get(filter);
+        if (!groupKeys.includes(key))
+          groupKeys.push(key);
+      }
+    }
+
+    return converter;
+  }
+
+  /**
+   * Returns the converter's state, as a JSON serializable Object.
+   * @returns {Object}
+   */
+  toJSON()
+  {
+    return {
+      nextId: this.nextId,
+      filterCounts: Array.from(this.filterCounts),
+      rules: Array.from(this.rules, ([id, {rule, filter}]) => ({
+        id, rule, filter
+      })),
+      groups: Array.from(this.groups, ([key, {id, entries}]) => ({
+        key, id, entries
+      }))
+    };
+  }
+
+  /**
+   * Returns the texts of the filters in the list.
+   * @returns {string[]}
+   */
+  getFilterTexts()
+  {
+    return Array.from(this.filterCounts.keys());
+  }
+
+  getGroupRule(key)
+  {
+    let {id, entries} = this.groups.get(key);
+    let rule = createGroupRule(key, entries.map(({domain}) => domain),
+                               entries[0].urlFilter);
+    rule.id = id;
+    return rule;
+  }
+
+  /**
+   * Returns the current rules, ordered by ID.
+   * @returns {Object[]}
+   */
+  getRules()
+  {
+    let rules = [];
+
+    for (let [id, {rule}] of this.rules)
+      rules.push(Object.assign({}, rule, {id}));
+
+    for (let key of this.groups.keys())
+      rules.push(this.getGroupRule(key));
+
+    return rules.sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Removes and then adds the given filters, and returns the resulting changes
+   * to the rules.
+   * @param {Object} diff
+   * @param {string[]} [diff.add]
+   *   The texts of the filters to add.
+   * @param {string[]} [diff.remove]
+   *   The texts of the filters to remove.
+   * @returns {Object}
+   *   The changes, as an `{addRules, removeRuleIds}` Object, like those
+   *   passed to `updateDynamicRules`. Rules which changed are removed and
+   *   added again with the same ID.
+   */
+  async applyDiff({add = [], remove = []})
+  {
+    let removeRuleIds = [];
+    let addedRuleIds = [];
+    // The IDs groups had before the diff was applied (if any), by key.
+    let changedGroups = new Map();
+
+    let changeGroup = key =>
+    {
+      if (!changedGroups.has(key))
+      {
+        let group = this.groups.get(key);
+        changedGroups.set(key, group ? group.id : null);
+      }
+    };
+
+    // The filters which have to be converted (again), or whose rules have to
+    // be removed.
+    let changedTexts = new Set();
+    let badFiltersChanged = false;
+
+    for (let text of remove)
+    {
+      text = Filter.normalize(text);
+      let count = this.filterCounts.get(text);
+      if (!count)
+        continue;
+
+      if (count > 1)
+      {
+        this.filterCounts.set(text, count - 1);
+        continue;
+      }
+
+      this.filterCounts.delete(text);
+      changedTexts.add(text);
+      if (this.badFilters.delete(text))
+        badFiltersChanged = true;
+    }
+
+    for (let text of add)
+    {
+      text = Filter.normalize(text);
+      let count = this.filterCounts.get(text);
+      if (count)
+      {
+        this.filterCounts.set(text, count + 1);
+        continue;
+      }
+
+      this.filterCounts.set(text, 1);
+      changedTexts.add(text);
+      if (isBadFilter(text))
+      {
+        this.badFilters.add(text);
+        badFiltersChanged = true;
+      }
+    }
+
+    // Once the $badfilter filters changed, any of the filters in the list
+    // might be disabled (or enabled again).
+    let effectiveTexts = new Map();
+    let badFilters = Array.from(this.badFilters);
+    if (badFiltersChanged)
+    {
+      let filterTexts = this.getFilterTexts();
+      applyBadFilters(filterTexts).forEach((effectiveText, i) =>
+      {
+        let text = filterTexts[i];
+        let results = this.filterResults.get(text);
+        effectiveTexts.set(text, effectiveText);
+        if (results && results.effectiveText != effectiveText)
+          changedTexts.add(text);
+      });
+    }
+
+    for (let text of changedTexts)
+    {
+      let results = this.filterResults.get(text);
+      if (!results)
+        continue;
+
+      this.filterResults.delete(text);
+
+      for (let id of results.ruleIds)
+      {
+        this.rules.delete(id);
+        removeRuleIds.push(id);
+      }
+
+      for (let key of results.groupKeys)
+      {
+        changeGroup(key);
+        let group = this.groups.get(key);
+        group.entries = group.entries.filter(({filter}) => filter != text);
+        if (!group.entries.length)
+          this.groups.delete(key);
+      }
+    }
+
+    for (let text of changedTexts)
+    {
+      if (!this.filterCounts.has(text))
+        continue;
+
+      let effectiveText = effectiveTexts.has(text) ?
+        effectiveTexts.get(text) :
+        applyBadFilters(badFilters.concat(text)).pop();
+      let results = {ruleIds: [], groupKeys: [], effectiveText};
+      this.filterResults.set(text, results);
+      if (effectiveText == null)
+        continue;
+
+      let filter = Filter.fromText(effectiveText);
+      for (let rule of await convertFilter(filter, this.isRegexSupported,
+                                           this.options))
+      {
+        let groupDetails = getRequestDomainsGroup(rule);
+        if (!groupDetails)
+        {
+          let id = this.nextId++;
+          this.rules.set(id, {rule, filter: text});
+          results.ruleIds.push(id);
+          addedRuleIds.push(id);
+          continue;
+        }
+
+        let {key, domain, urlFilter} = groupDetails;
+        changeGroup(key);
+
+        let group = this.groups.get(key);
+        if (!group)
+        {
+          group = {id: changedGroups.get(key) || this.nextId++, entries: []};
+          this.groups.set(key, group);
+        }
+        group.entries.push({filter: text, domain, urlFilter});
+        if (!results.groupKeys.includes(key))
+          results.groupKeys.push(key);
+      }
+    }
+
+    let addRules = addedRuleIds.map(id => Object.assign(
+      {}, this.rules.get(id).rule, {id}
+    ));
+
+    for (let [key, previousId] of changedGroups)
+    {
+      let group = this.groups.get(key);
+      if (previousId)
+        removeRuleIds.push(previousId);
+      if (group)
+        addRules.push(this.getGroupRule(key));
+    }
+
+    return {addRules, removeRuleIds};
+  }
+}
+
+exports.IncrementalConverter = IncrementalConverter;
@@ -0,0 +1,267 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module preprocessor */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const {diagnosticCodes} = require("./abp2dnr");
+
+/**
+ * The names that `!#if` conditions are true for by default, describing an
+ * Adblock Plus style extension for Chromium based browsers using Manifest V3.
+ * @type {string[]}
+ */
+const DEFAULT_ENVIRONMENT = Object.freeze([
+  "env_chromium", "env_mv3", "ext_abp"
+]);
+
+const DIRECTIVE_REGEXP = /^\s*!#(if|else|endif|include)(?:\s+(.*?))?\s*$/;
+
+// Evaluates the condition of an !#if directive, e.g.
+// "env_chromium && !(ext_ublock || ext_adguard)". Names which aren't part of
+// the environment are false.
+function evaluateCondition(condition, environment)
+{
+  let tokens = condition.match(/\w+|&&|\|\||\S/g) || [];
+  let index = 0;
+
+  let parseOr;
+  let parseOperand = () =>
+  {
+    let token = tokens[index++];
+    if (token == "!")
+      return !parseOperand();
+
+    if (token == "(")
+    {
+      let value = parseOr();
+      if (tokens[index++] != ")")
+        throw new Error("Missing closing parenthesis.");
+      return value;
+    }
+
+    if (!/^\w+$/.test(token || ""))
+      throw new Error("Unexpected " + (token ? "\"" + token + "\"." : "end."));
+    return environment.has(token);
+  };
+  let parseAnd = () =>
+  {
+    let value = parseOperand();
+    while (tokens[index] == "&&")
+    {
+      index++;
+      value = parseOperand() && value;
+    }
+    return value;
+  };
+  parseOr = () =>
+  {
+    let value = parseAnd();
+    while (tokens[index] == "||")
+    {
+      index++;
+      value = parseAnd() || value;
+    }
+    return value;
+  };
+
+  let value = parseOr();
+  if (index < tokens.length)
+    throw new Error("Unexpected \"" + tokens[index] + "\".");
+  return value;
+}
+
+// Preprocesses the lines of the given file, which is null for the filter
+// list itself.
+function preprocessLines(lines, file, includeChain, context)
+{
+  // The !#if directives the current line is nested in.
+  let conditions = [];
+
+  lines.forEach((text, i) =>
+  {
+    let line = i + 1;
+    let active = conditions.every(condition => condition.active);
+    let match = DIRECTIVE_REGEXP.exec(text);
+    if (!match)
+    {
+      if (active)
+        context.result.push({text, line, file});
+      return;
+    }
+
+    let diagnose = (code, message) =>
+    {
+      if (context.onDiagnostic)
+        context.onDiagnostic({file, line, filter: text, code, message});
+    };
+    let [, directive, argument = ""] = match;
+
+    if (directive == "if")
+    {
+      let value = false;
+      try
+      {
+        value = evaluateCondition(argument, context.environment);
+      }
+      catch (error)
+      {
+        diagnose(diagnosticCodes.INVALID_DIRECTIVE,
+                 "The !#if condition is invalid (" + error.message + ") " +
+                 "and was treated as false.");
+      }
+      conditions.push({line, text, active: value, hasElse: false});
+    }
+    else if (directive == "else" || directive == "endif")
+    {
+      let condition = conditions[conditions.length - 1];
+      if (!condition || (directive == "else" && condition.hasElse))
+      {
+        diagnose(diagnosticCodes.INVALID_DIRECTIVE,
+                 "There's no !#if directive for this !#" + directive + ".");
+      }
+      else if (directive == "else")
+      {
+        condition.active = !condition.active;
+        condition.hasElse = true;
+      }
+      else
+      {
+        conditions.pop();
+      }
+    }
+    else if (active)
+    {
+      includeFile(argument, file, includeChain, context, diagnose);
+    }
+  });
+
+  for (let {line, text} of conditions)
+  {
+    if (context.onDiagnostic)
+    {
+      context.onDiagnostic({
+        file, line, filter: text, code: diagnosticCodes.INVALID_DIRECTIVE,
+        message: "There's no !#endif directive for this !#if."
+      });
+    }
+  }
+}
+
+function includeFile(includePath, file, includeChain, context, diagnose)
+{
+  // Only local files can be included, and only relative to the list.
+  if (!includePath || path.isAbsolute(includePath) ||
+      /^[a-zA-Z][\w+.-]*:/.test(includePath))
+  {
+    diagnose(diagnosticCodes.INCLUDE_FAILED,
+             "Only files given by a relative path can be included.");
+    return;
+  }
+
+  let includedFile = path.join(path.dirname(file || context.file || "."),
+                               includePath);
+  let resolvedPath = path.resolve(includedFile);
+
+  // Filter lists come from third parties, so they mustn't be able to read
+  // arbitrary files, e.g. with "../" paths.
+  let relativePath = path.relative(context.includeRoot, resolvedPath);
+  if (!relativePath || relativePath.split(path.sep)[0] == ".." ||
+      path.isAbsolute(relativePath))
+  {
+    diagnose(diagnosticCodes.INCLUDE_FAILED,
+             "Only files inside " + context.includeRoot + " can be included.");
+    return;
+  }
+
+  if (includeChain.includes(resolvedPath))
+  {
+    diagnose(diagnosticCodes.INCLUDE_CYCLE,
+             "Including " + includedFile + " would create an include cycle.");
+    return;
+  }
+
+  let text;
+  try
+  {
+    text = context.readFile(includedFile);
+  }
+  catch (error)
+  {
+    diagnose(diagnosticCodes.INCLUDE_FAILED,
+             "The file couldn't be included (" + error.message + ").");
+    return;
+  }
+
+  preprocessLines(text.split(/\r?\n/), includedFile,
+                  includeChain.concat(resolvedPath), context);
+}
+
+/**
+ * Applies the preprocessor directives of a filter list: lines between
+ * `!#if condition` and `!#else` or `!#endif` are only kept if the condition
+ * holds for the environment, and `!#include file` directives are replaced by
+ * the lines of the given file. Included files are resolved relative to the
+ * list, must be inside the include root and must not include themselves
+ * (directly or indirectly).
+ * @param {string[]} lines
+ *   The lines of the filter list.
+ * @param {Object} [options]
+ * @param {string} [options.file]
+ *   The path of the filter list's file, if any.
+ * @param {string} [options.includeRoot]
+ *   The directory that included files must be inside of. Defaults to the
+ *   directory of the filter list's file (or the current directory).
+ * @param {string[]} [options.environment]
+ *   The names that `!#if` conditions are true for, see
+ *   `DEFAULT_ENVIRONMENT`.
+ * @param {function} [options.readFile]
+ *   Returns the text of the given (included) file. Defaults to reading it
+ *   from the file system.
+ * @param {function} [options.onDiagnostic]
+ *   Called with a `{file, line, filter, code, message}` Object for invalid
+ *   directives and includes which failed. The `file` is null for the lines
+ *   of the list itself.
+ * @returns {Object[]}
+ *   The remaining lines, as `{text, line, file}` Objects, where `file` is the
+ *   included file that the line came from (or null).
+ */
+function preprocessFilterList(lines, options = {})
+{
+  let {file = null, includeRoot, environment = DEFAULT_ENVIRONMENT,
+       readFile = includedFile => fs.readFileSync(includedFile, "utf-8"),
+       onDiagnostic} = options;
+
+  let context = {
+    file,
+    includeRoot: path.resolve(includeRoot || path.dirname(file || ".")),
+    environment: new Set(environment),
+    readFile,
+    onDiagnostic,
+    result: []
+  };
+
+  preprocessLines(lines, null, file ? [path.resolve(file)] : [], context);
+  return context.result;
+}
+
+exports.DEFAULT_ENVIRONMENT = DEFAULT_ENVIRONMENT;
+exports.preprocessFilterList = preprocessFilterList;
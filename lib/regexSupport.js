@@ -0,0 +1,693 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module regexSupport */
+
+"use strict";
+
+// The declarativeNetRequest API compiles regular expressions with RE2, using
+// the Latin-1 encoding and a memory budget of 2KB. RE2 gives two thirds of that
+// budget to the compiled program, and allows it a quarter of what's left after
+// the size of the Prog object itself for instructions.
+// See https://source.chromium.org/chromium/chromium/src/+/main:extensions/browser/api/declarative_net_request/utils.cc
+// and https://github.com/google/re2/blob/main/re2/compile.cc
+const REGEX_MAX_MEMORY = 2 * 1024;
+const PROG_SIZE = 424;
+const INSTRUCTION_SIZE = 8;
+const MAX_INSTRUCTIONS =
+  Math.floor((Math.floor(REGEX_MAX_MEMORY * 2 / 3) - PROG_SIZE) /
+             4 / INSTRUCTION_SIZE);
+
+// RE2 rejects repetition counts (including nested ones, multiplied together)
+// larger than this.
+const MAX_REPEAT = 1000;
+
+// Instructions every program has: the fail and match instructions, and the
+// non-greedy .* loop which makes the expression unanchored.
+const PROGRAM_OVERHEAD = 2;
+const UNANCHORED_OVERHEAD = 2;
+
+const MAX_CHARACTER = 0x10FFFF;
+
+const perlClasses = new Map([
+  ["d", [[0x30, 0x39]]],
+  ["s", [[0x09, 0x0A], [0x0C, 0x0D], [0x20, 0x20]]],
+  ["w", [[0x30, 0x39], [0x41, 0x5A], [0x5F, 0x5F], [0x61, 0x7A]]]
+]);
+
+const posixClasses = new Map([
+  ["alnum", [[0x30, 0x39], [0x41, 0x5A], [0x61, 0x7A]]],
+  ["alpha", [[0x41, 0x5A], [0x61, 0x7A]]],
+  ["ascii", [[0x00, 0x7F]]],
+  ["blank", [[0x09, 0x09], [0x20, 0x20]]],
+  ["cntrl", [[0x00, 0x1F], [0x7F, 0x7F]]],
+  ["digit", [[0x30, 0x39]]],
+  ["graph", [[0x21, 0x7E]]],
+  ["lower", [[0x61, 0x7A]]],
+  ["print", [[0x20, 0x7E]]],
+  ["punct", [[0x21, 0x2F], [0x3A, 0x40], [0x5B, 0x60], [0x7B, 0x7E]]],
+  ["space", [[0x09, 0x0D], [0x20, 0x20]]],
+  ["upper", [[0x41, 0x5A]]],
+  ["word", [[0x30, 0x39], [0x41, 0x5A], [0x5F, 0x5F], [0x61, 0x7A]]],
+  ["xdigit", [[0x30, 0x39], [0x41, 0x46], [0x61, 0x66]]]
+]);
+
+const simpleEscapes = new Map([
+  ["a", 0x07], ["f", 0x0C], ["n", 0x0A], ["r", 0x0D], ["t", 0x09], ["v", 0x0B]
+]);
+
+class UnsupportedRegexError extends Error
+{
+}
+
+function normalizeRanges(ranges)
+{
+  let result = [];
+
+  for (let [lo, hi] of ranges.slice().sort((a, b) => a[0] - b[0]))
+  {
+    let last = result[result.length - 1];
+    if (last && lo <= last[1] + 1)
+      last[1] = Math.max(last[1], hi);
+    else
+      result.push([lo, hi]);
+  }
+
+  return result;
+}
+
+function negateRanges(ranges)
+{
+  let result = [];
+  let next = 0;
+
+  for (let [lo, hi] of normalizeRanges(ranges))
+  {
+    if (lo > next)
+      result.push([next, lo - 1]);
+    next = hi + 1;
+  }
+  if (next <= MAX_CHARACTER)
+    result.push([next, MAX_CHARACTER]);
+
+  return result;
+}
+
+function foldRanges(ranges)
+{
+  let result = ranges.slice();
+
+  for (let [lo, hi] of ranges)
+  {
+    for (let [start, end, offset] of [[0x41, 0x5A, 0x20], [0x61, 0x7A, -0x20]])
+    {
+      if (lo <= end && hi >= start)
+      {
+        result.push([Math.max(lo, start) + offset,
+                     Math.min(hi, end) + offset]);
+      }
+    }
+  }
+
+  return normalizeRanges(result);
+}
+
+// Returns the number of instructions needed to match a character class. RE2
+// compiles each range of Latin-1 characters into a byte range instruction,
+// joined together by alternation instructions. When folding case, upper case
+// ranges are covered by the matching lower case ones.
+function classSize(ranges, foldCase)
+{
+  let count = 0;
+
+  for (let [lo, hi] of foldCase ? foldRanges(ranges) :
+                                  normalizeRanges(ranges))
+  {
+    if (lo > 0xFF)
+      continue;
+    if (foldCase && lo >= 0x41 && hi <= 0x5A)
+      continue;
+    count++;
+  }
+
+  return Math.max(count * 2 - 1, 1);
+}
+
+function node(size, repeat = 1)
+{
+  return {size, repeat};
+}
+
+// Returns a node for a single character, or character class, keeping track of
+// the characters it matches so that it can be merged with others.
+function classNode(ranges, foldCase)
+{
+  let result = node(classSize(ranges, foldCase));
+  result.ranges = ranges;
+  result.foldCase = foldCase;
+  return result;
+}
+
+// RE2 simplifies alternations, merging runs of alternatives which match a
+// single character (e.g. a|b|[cd]) into one character class.
+function mergeClassAlternatives(alternatives)
+{
+  let result = [];
+  let run = [];
+
+  let endRun = () =>
+  {
+    if (run.length > 1)
+    {
+      // Case folding can only be applied to the merged class if it applies
+      // to all of its parts.
+      let foldCase = run.every(alt => alt.foldCase);
+      let ranges = [];
+      for (let alt of run)
+        ranges.push(...alt.foldCase && !foldCase ? foldRanges(alt.ranges) :
+                                                   alt.ranges);
+      result.push(classNode(ranges, foldCase));
+    }
+    else
+    {
+      result.push(...run);
+    }
+    run = [];
+  };
+
+  for (let alt of alternatives)
+  {
+    if (alt.ranges)
+    {
+      run.push(alt);
+    }
+    else
+    {
+      endRun();
+      result.push(alt);
+    }
+  }
+  endRun();
+
+  return result;
+}
+
+class Parser
+{
+  constructor(source, foldCase, capture)
+  {
+    this.source = source;
+    this.index = 0;
+    this.foldCase = foldCase;
+    this.dotAll = false;
+    this.capture = capture;
+  }
+
+  fail(message)
+  {
+    throw new UnsupportedRegexError(message + " at position " + this.index);
+  }
+
+  peek(offset = 0)
+  {
+    return this.source[this.index + offset];
+  }
+
+  eat(text)
+  {
+    if (!this.source.startsWith(text, this.index))
+      return false;
+
+    this.index += text.length;
+    return true;
+  }
+
+  parse()
+  {
+    let result = this.parseAlternation();
+    let anchorStart = this.source[0] == "^" && result.alternatives == 1;
+
+    if (this.index < this.source.length)
+      this.fail("Unexpected )");
+
+    // RE2 strips a leading ^ and then doesn't need the unanchored prefix.
+    let size = result.size + PROGRAM_OVERHEAD;
+    if (anchorStart)
+      size--;
+    else
+      size += UNANCHORED_OVERHEAD;
+
+    return size;
+  }
+
+  parseAlternation()
+  {
+    let {foldCase, dotAll} = this;
+    let alternatives = [this.parseConcatenation()];
+
+    while (this.eat("|"))
+      alternatives.push(this.parseConcatenation());
+    alternatives = mergeClassAlternatives(alternatives);
+
+    // Flags set within a group don't apply after it.
+    this.foldCase = foldCase;
+    this.dotAll = dotAll;
+
+    let result = node(
+      alternatives.reduce((size, alt) => size + alt.size, 0) +
+        alternatives.length - 1,
+      Math.max(...alternatives.map(alt => alt.repeat))
+    );
+    result.alternatives = alternatives.length;
+    return result;
+  }
+
+  parseConcatenation()
+  {
+    let size = 0;
+    let repeat = 1;
+    let atoms = [];
+
+    while (this.index < this.source.length &&
+           this.peek() != "|" && this.peek() != ")")
+    {
+      let atom = this.parseRepetition();
+      size += atom.size;
+      repeat = Math.max(repeat, atom.repeat);
+      atoms.push(atom);
+    }
+
+    // A single character (class) can be merged with other alternatives.
+    if (atoms.length == 1 && atoms[0].ranges)
+      return atoms[0];
+
+    return node(size, repeat);
+  }
+
+  parseRepeatCount()
+  {
+    let match = /^\{(\d+)(?:(,)(\d*))?\}/.exec(this.source.substr(this.index));
+    if (!match)
+      return null;
+
+    let min = parseInt(match[1], 10);
+    let max = min;
+    if (match[2])
+      max = match[3] ? parseInt(match[3], 10) : -1;
+
+    return {length: match[0].length, min, max};
+  }
+
+  isRepetitionNext()
+  {
+    let char = this.peek();
+    return char == "*" || char == "+" || char == "?" ||
+           (char == "{" && this.parseRepeatCount() != null);
+  }
+
+  parseRepetition()
+  {
+    if (this.isRepetitionNext())
+      this.fail("Missing argument to repetition operator");
+
+    let atom = this.parseAtom();
+    if (!this.isRepetitionNext())
+      return atom;
+
+    let char = this.peek();
+    let result;
+
+    if (char == "{")
+    {
+      let {length, min, max} = this.parseRepeatCount();
+      this.index += length;
+
+      if (min > MAX_REPEAT || max > MAX_REPEAT || (max != -1 && max < min))
+        this.fail("Bad repetition operator");
+
+      // RE2 simplifies x{n,m} into n copies of x, followed by (m - n) nested
+      // optional copies. x{n,} becomes (n - 1) copies, followed by x+.
+      let size;
+      if (max == -1)
+        size = Math.max(min, 1) * atom.size + 1;
+      else
+        size = min * atom.size + (max - min) * (atom.size + 1);
+
+      result = node(size, atom.repeat * Math.max(min, max));
+      if (result.repeat > MAX_REPEAT)
+        this.fail("Bad repetition operator");
+    }
+    else
+    {
+      this.index++;
+      result = node(atom.size + 1, atom.repeat);
+    }
+
+    // Non-greedy repetitions are fine, but RE2 rejects repeated repetitions
+    // like a** or a+*.
+    this.eat("?");
+    if (this.isRepetitionNext())
+      this.fail("Bad repetition operator");
+
+    return result;
+  }
+
+  parseAtom()
+  {
+    let char = this.peek();
+
+    switch (char)
+    {
+      case "(":
+        return this.parseGroup();
+      case "[":
+        return this.parseClass();
+      case ".":
+        this.index++;
+        if (this.dotAll)
+          return node(1);
+        return classNode([[0x00, 0x09], [0x0B, MAX_CHARACTER]], false);
+      case "^":
+      case "$":
+        this.index++;
+        return node(1);
+      case "\\":
+        return this.parseEscape();
+    }
+
+    this.index++;
+    return this.literalNode(char.charCodeAt(0));
+  }
+
+  literalNode(codePoint)
+  {
+    let result = classNode([[codePoint, codePoint]], this.foldCase);
+    result.size = 1;
+    return result;
+  }
+
+  parseGroup()
+  {
+    this.index++;
+
+    let {foldCase, dotAll} = this;
+    let capturing = true;
+
+    if (this.eat("?"))
+    {
+      if (this.peek() == "=" || this.peek() == "!" ||
+          this.eat("<=") || this.eat("<!"))
+        this.fail("Lookaround assertions are not supported");
+
+      if (this.eat("P<") || this.eat("<"))
+      {
+        let match = /^[A-Za-z0-9_]+>/.exec(this.source.substr(this.index));
+        if (!match)
+          this.fail("Invalid named capture group");
+        this.index += match[0].length;
+      }
+      else
+      {
+        let match = /^([imsU]*)(?:-([imsU]+))?([:)])/.exec(
+          this.source.substr(this.index)
+        );
+        if (!match || (match[1] == "" && match[2] == null && match[3] == ")"))
+          this.fail("Invalid or unsupported Perl syntax");
+        this.index += match[0].length;
+
+        if (match[1].includes("i"))
+          this.foldCase = true;
+        if (match[1].includes("s"))
+          this.dotAll = true;
+        if (match[2] && match[2].includes("i"))
+          this.foldCase = false;
+        if (match[2] && match[2].includes("s"))
+          this.dotAll = false;
+
+        // A flags group like (?i) changes the flags until the end of the
+        // surrounding group.
+        if (match[3] == ")")
+          return node(0);
+
+        capturing = false;
+      }
+    }
+
+    let result = this.parseAlternation();
+    if (!this.eat(")"))
+      this.fail("Missing )");
+
+    this.foldCase = foldCase;
+    this.dotAll = dotAll;
+
+    if (capturing && this.capture)
+      result.size += 2;
+
+    return result;
+  }
+
+  parseClassEscape()
+  {
+    this.index++;
+    let char = this.peek();
+
+    if (char == null)
+      this.fail("Trailing \\");
+
+    let lower = char.toLowerCase();
+    if (perlClasses.has(lower))
+    {
+      this.index++;
+      let ranges = perlClasses.get(lower);
+      return char == lower ? ranges : negateRanges(ranges);
+    }
+
+    if (lower == "p")
+      return this.parseUnicodeClass(char == "P");
+
+    let codePoint = this.parseCharacterEscape();
+    return [[codePoint, codePoint]];
+  }
+
+  parseUnicodeClass(negated)
+  {
+    this.index++;
+
+    let match = /^(?:\{\^?[A-Za-z_]+\}|[A-Za-z])/.exec(
+      this.source.substr(this.index)
+    );
+    if (!match)
+      this.fail("Invalid character class range");
+    this.index += match[0].length;
+
+    // Unicode classes match Latin-1 characters in a handful of ranges at most,
+    // so assume the worst case for the ones that matter here (e.g. \pL).
+    let ranges = [[0x41, 0x5A], [0x61, 0x7A], [0xAA, 0xAA], [0xB5, 0xB5],
+                  [0xBA, 0xBA], [0xC0, 0xD6], [0xD8, 0xF6], [0xF8, 0xFF]];
+    return negated ? negateRanges(ranges) : ranges;
+  }
+
+  parseCharacterEscape()
+  {
+    let char = this.peek();
+    this.index++;
+
+    if (simpleEscapes.has(char))
+      return simpleEscapes.get(char);
+
+    if (char == "x")
+    {
+      let match = /^(?:\{([0-9A-Fa-f]+)\}|([0-9A-Fa-f]{2}))/.exec(
+        this.source.substr(this.index)
+      );
+      if (!match)
+        this.fail("Invalid escape sequence");
+      this.index += match[0].length;
+
+      let codePoint = parseInt(match[1] || match[2], 16);
+      if (codePoint > MAX_CHARACTER)
+        this.fail("Invalid escape sequence");
+      return codePoint;
+    }
+
+    // Octal escapes, but not backreferences (a single non-zero digit).
+    if (char >= "0" && char <= "7")
+    {
+      let match = /^[0-7]{0,2}/.exec(this.source.substr(this.index));
+      if (char != "0" && match[0] == "")
+        this.fail("Backreferences are not supported");
+      this.index += match[0].length;
+      return parseInt(char + match[0], 8);
+    }
+
+    // Punctuation can be escaped, but letters and digits other than the ones
+    // handled above can't be.
+    if (char.charCodeAt(0) < 0x80 && /[^A-Za-z0-9]/.test(char))
+      return char.charCodeAt(0);
+
+    this.index--;
+    this.fail("Invalid escape sequence");
+  }
+
+  parseEscape()
+  {
+    let char = this.peek(1);
+
+    if (char == null)
+      this.fail("Trailing \\");
+
+    // Empty-width assertions.
+    if ("bBAz".includes(char))
+    {
+      this.index += 2;
+      return node(1);
+    }
+
+    // Any byte.
+    if (char == "C")
+    {
+      this.index += 2;
+      return node(1);
+    }
+
+    // Literal text.
+    if (char == "Q")
+    {
+      this.index += 2;
+      let end = this.source.indexOf("\\E", this.index);
+      if (end == -1)
+        end = this.source.length;
+      let size = end - this.index;
+      this.index = Math.min(end + 2, this.source.length);
+      return node(size);
+    }
+
+    let lower = char.toLowerCase();
+    if (perlClasses.has(lower) || lower == "p")
+      return classNode(this.parseClassEscape(), this.foldCase);
+
+    this.index++;
+    return this.literalNode(this.parseCharacterEscape());
+  }
+
+  parseClassCharacter()
+  {
+    if (this.peek() == "\\")
+      return this.parseClassEscape();
+
+    let codePoint = this.source.codePointAt(this.index);
+    this.index += codePoint > 0xFFFF ? 2 : 1;
+    return [[codePoint, codePoint]];
+  }
+
+  parseClass()
+  {
+    this.index++;
+
+    let negated = this.eat("^");
+    let ranges = [];
+    let first = true;
+
+    // RE2 treats a ] at the start of the class as a literal.
+    while (first || this.peek() != "]")
+    {
+      if (this.index >= this.source.length)
+        this.fail("Missing ]");
+      first = false;
+
+      let posix = /^\[:(\^?)([a-z]+):\]/.exec(this.source.substr(this.index));
+      if (posix)
+      {
+        if (!posixClasses.has(posix[2]))
+          this.fail("Invalid character class range");
+        this.index += posix[0].length;
+
+        let posixRanges = posixClasses.get(posix[2]);
+        ranges.push(...posix[1] ? negateRanges(posixRanges) : posixRanges);
+        continue;
+      }
+
+      let start = this.parseClassCharacter();
+      if (this.peek() == "-" && this.peek(1) != "]" && this.peek(1) != null)
+      {
+        this.index++;
+        let end = this.parseClassCharacter();
+        if (start.length > 1 || end.length > 1 ||
+            start[0][0] != start[0][1] || end[0][0] != end[0][1] ||
+            end[0][0] < start[0][0])
+          this.fail("Invalid character class range");
+        ranges.push([start[0][0], end[0][0]]);
+      }
+      else
+      {
+        ranges.push(...start);
+      }
+    }
+    this.index++;
+
+    if (negated)
+      ranges = negateRanges(this.foldCase ? foldRanges(ranges) : ranges);
+
+    return classNode(ranges, this.foldCase);
+  }
+}
+
+/**
+ * Checks if the given regular expression is supported by the
+ * declarativeNetRequest API, without the need for a browser. The RE2 syntax
+ * is checked, and the size of the compiled expression is estimated to check it
+ * fits the API's memory limit.
+ * Note: This mirrors `chrome.declarativeNetRequest.isRegexSupported`[1], so it
+ *       can be passed to `convertFilter`. Since the memory usage is only
+ *       estimated, the results might differ from Chrome's for regular
+ *       expressions close to the limit.
+ * 1 - https://developer.chrome.com/extensions/declarativeNetRequest#method-isRegexSupported
+ * @param {Object} regexOptions
+ * @param {string} regexOptions.regex
+ *   The regular expression to check.
+ * @param {boolean} [regexOptions.isCaseSensitive=true]
+ *   Whether the regular expression is case sensitive.
+ * @param {boolean} [regexOptions.requireCapturing=false]
+ *   Whether the capturing groups of the regular expression are needed.
+ * @returns {Object}
+ *   An Object with an `isSupported` property, and a `reason` property of
+ *   "syntaxError" or "memoryLimitExceeded" for unsupported regular
+ *   expressions.
+ */
+function isRegexSupported({regex, isCaseSensitive = true,
+                           requireCapturing = false})
+{
+  let size;
+
+  try
+  {
+    size = new Parser(regex, !isCaseSensitive, requireCapturing).parse();
+  }
+  catch (e)
+  {
+    if (e instanceof UnsupportedRegexError)
+      return {isSupported: false, reason: "syntaxError"};
+    throw e;
+  }
+
+  if (size > MAX_INSTRUCTIONS)
+    return {isSupported: false, reason: "memoryLimitExceeded"};
+
+  return {isSupported: true};
+}
+
+exports.isRegexSupported = isRegexSupported;
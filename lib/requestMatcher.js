@@ -0,0 +1,374 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module requestMatcher */
+
+"use strict";
+
+const {URLRequest} = require("adblockpluscore/lib/url");
+
+// When several matching rules share the highest priority, the action type
+// decides which takes effect.
+// See https://developer.chrome.com/docs/extensions/reference/declarativeNetRequest/#matching-algorithm
+const actionPrecedence = new Map([
+  ["allow", 0],
+  ["allowAllRequests", 1],
+  ["block", 2],
+  ["upgradeScheme", 3],
+  ["redirect", 4],
+  ["modifyHeaders", 5]
+]);
+
+// Rules without resource type conditions match all requests, except for
+// main_frame requests.
+const defaultResourceTypes = new Set([
+  "sub_frame", "stylesheet", "script", "image", "font", "object",
+  "xmlhttprequest", "ping", "csp_report", "media", "websocket", "webtransport",
+  "webbundle", "other"
+]);
+
+// Since Chrome 118, urlFilter and regexFilter conditions are case insensitive
+// unless specified otherwise.
+const CASE_INSENSITIVE_CHROME_VERSION = 118;
+
+// Characters which the ^ separator placeholder doesn't match.
+const SEPARATOR_REGEXP_SOURCE = "(?:[^a-zA-Z0-9_.%-]|$)";
+
+// Compiled urlFilter and regexFilter conditions, cached by their flags and
+// condition.
+let conditionRegExps = new Map([["", new WeakMap()], ["i", new WeakMap()]]);
+
+function urlFilterToRegExpSource(urlFilter)
+{
+  let prefix = "";
+  let suffix = "";
+
+  if (urlFilter.startsWith("||"))
+  {
+    // Match from the start of the hostname, or any of its subdomains.
+    prefix = "^[^:]+:(?:\\/\\/)?(?:[^\\/?#]*@)?(?:[^\\/?#]*\\.)?";
+    urlFilter = urlFilter.substring(2);
+  }
+  else if (urlFilter.startsWith("|"))
+  {
+    prefix = "^";
+    urlFilter = urlFilter.substring(1);
+  }
+
+  if (urlFilter.endsWith("|"))
+  {
+    suffix = "$";
+    urlFilter = urlFilter.substring(0, urlFilter.length - 1);
+  }
+
+  let source = "";
+  for (let char of urlFilter)
+  {
+    if (char == "*")
+      source += ".*";
+    else if (char == "^")
+      source += SEPARATOR_REGEXP_SOURCE;
+    else
+      source += char.replace(/[.+?${}()|[\]\\/]/, "\\$&");
+  }
+
+  return prefix + source + suffix;
+}
+
+function getConditionRegExp(condition, caseSensitiveByDefault)
+{
+  let caseSensitive = condition.isUrlFilterCaseSensitive;
+  if (typeof caseSensitive == "undefined")
+    caseSensitive = caseSensitiveByDefault;
+
+  let flags = caseSensitive ? "" : "i";
+  let regexps = conditionRegExps.get(flags);
+  let regexp = regexps.get(condition);
+
+  if (!regexp)
+  {
+    let source = condition.regexFilter ||
+                 urlFilterToRegExpSource(condition.urlFilter);
+    regexp = new RegExp(source, flags);
+    regexps.set(condition, regexp);
+  }
+
+  return regexp;
+}
+
+function matchesDomains(hostname, domains)
+{
+  for (let domain of domains)
+  {
+    if (hostname == domain || hostname.endsWith("." + domain))
+      return true;
+  }
+
+  return false;
+}
+
+function matchesDomainCondition(hostname, domains, excludedDomains)
+{
+  if (excludedDomains && hostname != null &&
+      matchesDomains(hostname, excludedDomains))
+    return false;
+
+  if (domains && (hostname == null || !matchesDomains(hostname, domains)))
+    return false;
+
+  return true;
+}
+
+// Header value patterns can contain * and ? wildcards, which can be escaped
+// with a backslash, and are matched case insensitively.
+function matchesHeaderValue(value, pattern)
+{
+  let source = pattern.replace(
+    /\\([*?])|([*?])|[.+^${}()|[\]\\/]/g,
+    (match, escaped, wildcard) =>
+    {
+      if (escaped)
+        return "\\" + escaped;
+      if (wildcard)
+        return wildcard == "*" ? ".*" : ".";
+      return "\\" + match;
+    }
+  );
+  return new RegExp("^" + source + "$", "i").test(value);
+}
+
+function matchesHeaderConditions(headers, headerConditions)
+{
+  for (let {header, values, excludedValues} of headerConditions)
+  {
+    for (let {name, value} of headers)
+    {
+      if (name.toLowerCase() != header.toLowerCase())
+        continue;
+
+      if (values && !values.some(pattern => matchesHeaderValue(value, pattern)))
+        continue;
+      if (excludedValues &&
+          excludedValues.some(pattern => matchesHeaderValue(value, pattern)))
+        continue;
+
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function matchesCondition(condition, request)
+{
+  let {resourceTypes, excludedResourceTypes} = condition;
+  if (resourceTypes ? !resourceTypes.includes(request.type) :
+                      !defaultResourceTypes.has(request.type))
+    return false;
+  if (excludedResourceTypes && excludedResourceTypes.includes(request.type))
+    return false;
+
+  if (condition.requestMethods &&
+      !condition.requestMethods.includes(request.method))
+    return false;
+  if (condition.excludedRequestMethods &&
+      condition.excludedRequestMethods.includes(request.method))
+    return false;
+
+  if (condition.tabIds && !condition.tabIds.includes(request.tabId))
+    return false;
+  if (condition.excludedTabIds &&
+      condition.excludedTabIds.includes(request.tabId))
+    return false;
+
+  if (!matchesDomainCondition(request.hostname, condition.requestDomains,
+                              condition.excludedRequestDomains))
+    return false;
+
+  if (!matchesDomainCondition(request.initiatorHostname,
+                              condition.initiatorDomains,
+                              condition.excludedInitiatorDomains))
+    return false;
+
+  if (condition.domainType &&
+      (condition.domainType == "thirdParty") != request.thirdParty)
+    return false;
+
+  // Response header conditions can only match once the response headers have
+  // been received.
+  if (condition.responseHeaders &&
+      (!request.responseHeaders ||
+       !matchesHeaderConditions(request.responseHeaders,
+                                condition.responseHeaders)))
+    return false;
+  if (condition.excludedResponseHeaders &&
+      (!request.responseHeaders ||
+       matchesHeaderConditions(request.responseHeaders,
+                               condition.excludedResponseHeaders)))
+    return false;
+
+  if ((condition.urlFilter || condition.regexFilter) &&
+      !getConditionRegExp(condition, request.caseSensitiveByDefault)
+        .test(request.url))
+    return false;
+
+  return true;
+}
+
+function parseRequest({url, type, initiator, method = "get",
+                       tabId = 0, frames, responseHeaders}, chromeVersion)
+{
+  url = new URL(url);
+
+  let initiatorHostname = null;
+  let thirdParty = true;
+  if (initiator)
+  {
+    initiatorHostname = new URL(initiator).hostname;
+    thirdParty = URLRequest.from(url.href, initiatorHostname).thirdParty;
+  }
+
+  // Unless told otherwise, assume subresources are requested by a top-level
+  // document at the initiator's URL.
+  if (!frames)
+    frames = initiator && type != "main_frame" ? [initiator] : [];
+
+  return {
+    url: url.href,
+    hostname: url.hostname,
+    type,
+    method: method.toLowerCase(),
+    tabId,
+    initiatorHostname,
+    thirdParty,
+    frames: tabId == -1 || type == "main_frame" ? [] : frames,
+    responseHeaders,
+    caseSensitiveByDefault: chromeVersion < CASE_INSENSITIVE_CHROME_VERSION
+  };
+}
+
+function compareRules(a, b)
+{
+  return b.priority - a.priority ||
+         actionPrecedence.get(a.action.type) -
+         actionPrecedence.get(b.action.type);
+}
+
+function findMatchingRules(rules, request)
+{
+  return rules.filter(rule => matchesCondition(rule.condition, request))
+              .sort(compareRules);
+}
+
+// Returns the highest priority allowAllRequests rule which applies to the
+// document (or documents) the request was made from, if any.
+function getFrameAllowAllRequestsRule(rules, frames, chromeVersion)
+{
+  let result = null;
+
+  for (let i = 0; i < frames.length; i++)
+  {
+    let frameRequest = parseRequest({
+      url: frames[i],
+      type: i == 0 ? "main_frame" : "sub_frame",
+      initiator: i == 0 ? null : frames[i - 1],
+      frames: frames.slice(0, i)
+    }, chromeVersion);
+
+    let [rule] = findMatchingRules(rules, frameRequest);
+    if (rule && rule.action.type == "allowAllRequests" &&
+        (!result || rule.priority > result.priority))
+      result = rule;
+  }
+
+  return result;
+}
+
+/**
+ * Evaluates the given declarativeNetRequest rules against a request, in the
+ * same way as Chrome does[1], and returns the rules which take effect.
+ * 1 - https://developer.chrome.com/docs/extensions/reference/declarativeNetRequest/#matching-algorithm
+ * @param {Object[]} rules
+ *   The rules to evaluate.
+ * @param {Object} requestDetails
+ * @param {string} requestDetails.url
+ *   The URL of the request.
+ * @param {string} requestDetails.type
+ *   The resource type of the request, e.g. "main_frame" or "image".
+ * @param {string} [requestDetails.initiator]
+ *   The origin of the document which made the request.
+ * @param {string} [requestDetails.method="get"]
+ *   The HTTP method of the request.
+ * @param {number} [requestDetails.tabId=0]
+ *   The ID of the tab the request was made in, -1 if it wasn't made in a tab.
+ * @param {string[]} [requestDetails.frames]
+ *   The URLs of the documents (main_frame first, then any sub_frames) the
+ *   request was made from. allowAllRequests rules matching any of those
+ *   documents apply to the request. Defaults to the initiator.
+ * @param {Object[]} [requestDetails.responseHeaders]
+ *   The response headers, as `{name, value}` Objects. Rules with response
+ *   header conditions only match if these are given.
+ * @param {Object} [options]
+ * @param {number} [options.chromeVersion]
+ *   The version of Chrome to evaluate the rules like, where it matters.
+ *   Before Chrome 118, urlFilter and regexFilter conditions were case
+ *   sensitive unless specified otherwise. Defaults to the latest version.
+ * @returns {Object[]}
+ *   The rules which take effect for the request. The first rule is the one
+ *   deciding if the request is allowed, blocked or redirected (if any),
+ *   followed by the modifyHeaders rules to apply, highest priority first.
+ */
+function testMatchOutcome(rules, requestDetails, options = {})
+{
+  let {chromeVersion = Infinity} = options;
+  let request = parseRequest(requestDetails, chromeVersion);
+  let matchingRules = findMatchingRules(rules, request);
+
+  let frameRule = getFrameAllowAllRequestsRule(rules, request.frames,
+                                               chromeVersion);
+  if (frameRule)
+    matchingRules = [frameRule, ...matchingRules].sort(compareRules);
+
+  let result = [];
+  let decidingRule = matchingRules.find(
+    rule => rule.action.type != "modifyHeaders"
+  );
+
+  if (decidingRule)
+  {
+    let {type} = decidingRule.action;
+
+    // Nothing else matters for blocked and redirected requests.
+    if (type != "allow" && type != "allowAllRequests")
+      return [decidingRule];
+
+    result.push(decidingRule);
+  }
+
+  // Header modifications apply, unless the request was allowed by a rule of
+  // equal or higher priority.
+  for (let rule of matchingRules)
+  {
+    if (rule.action.type == "modifyHeaders" &&
+        (!decidingRule || rule.priority > decidingRule.priority))
+      result.push(rule);
+  }
+
+  return result;
+}
+
+exports.testMatchOutcome = testMatchOutcome;
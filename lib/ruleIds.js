@@ -0,0 +1,143 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module ruleIds */
+
+"use strict";
+
+const crypto = require("crypto");
+
+// Rule IDs must be positive 32-bit integers.
+const MAX_RULE_ID = 0x7fffffff;
+
+function stringifyCanonically(value)
+{
+  if (Array.isArray(value))
+    return "[" + value.map(stringifyCanonically).join(",") + "]";
+
+  if (value && typeof value == "object")
+  {
+    return "{" + Object.keys(value).sort().map(
+      key => JSON.stringify(key) + ":" + stringifyCanonically(value[key])
+    ).join(",") + "}";
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Returns a key for each of the given rules, derived from the rule's contents
+ * (excluding its ID). Identical rules are told apart by the order they appear
+ * in.
+ * @param {Object[]} rules
+ * @returns {string[]}
+ */
+function getRuleKeys(rules)
+{
+  let occurrences = new Map();
+
+  return rules.map(rule =>
+  {
+    let contents = Object.assign({}, rule);
+    delete contents.id;
+    let key = stringifyCanonically(contents);
+
+    let count = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, count);
+
+    return count > 1 ? key + "#" + count : key;
+  });
+}
+
+function hashKey(key)
+{
+  let hash = crypto.createHash("sha256").update(key).digest();
+  return hash.readUInt32BE(0) % MAX_RULE_ID + 1;
+}
+
+/**
+ * Assigns each of the given rules an ID derived from a hash of its contents,
+ * so that rules keep their IDs when other rules are added or removed.
+ * Collisions are resolved by taking the next free ID, in order of the rules'
+ * contents, so that they don't depend on the order of the rules either.
+ * Note: Use this after `compressRules`, since merging rules changes their
+ *       contents.
+ * @param {Object[]} rules
+ *   The rules, their `id` property is set.
+ * @returns {Object[]}
+ *   The given rules.
+ */
+function assignHashedRuleIds(rules)
+{
+  let keys = getRuleKeys(rules);
+  let usedIds = new Set();
+
+  let indexes = rules.map((rule, i) => i);
+  indexes.sort((a, b) => (keys[a] < keys[b] ? -1 : keys[a] > keys[b] ? 1 : 0));
+
+  for (let i of indexes)
+  {
+    let id = hashKey(keys[i]);
+    while (usedIds.has(id))
+      id = id % MAX_RULE_ID + 1;
+
+    usedIds.add(id);
+    rules[i].id = id;
+  }
+
+  return rules;
+}
+
+/**
+ * Assigns each of the given rules an ID, reusing the IDs which rules with the
+ * same contents were given previously. New rules are given IDs which haven't
+ * been used before.
+ * Note: Use this after `compressRules`, since merging rules changes their
+ *       contents.
+ * @param {Object[]} rules
+ *   The rules, their `id` property is set.
+ * @param {Object} [allocations]
+ *   The allocations returned by the previous call, if any.
+ * @returns {Object}
+ *   The updated allocations, as an Object with a `nextId` and the `ids` by
+ *   rule key. It's JSON serializable, so that it can be persisted between
+ *   runs.
+ */
+function allocateRuleIds(rules, allocations = {nextId: 1, ids: {}})
+{
+  let keys = getRuleKeys(rules);
+  let {nextId} = allocations;
+  let ids = {};
+
+  for (let i = 0; i < rules.length; i++)
+  {
+    let key = keys[i];
+    let id = Object.prototype.hasOwnProperty.call(allocations.ids, key) ?
+               allocations.ids[key] : nextId++;
+
+    if (id > MAX_RULE_ID)
+      throw new Error("Ran out of rule IDs.");
+
+    ids[key] = rules[i].id = id;
+  }
+
+  return {nextId, ids};
+}
+
+exports.getRuleKeys = getRuleKeys;
+exports.assignHashedRuleIds = assignHashedRuleIds;
+exports.allocateRuleIds = allocateRuleIds;
@@ -0,0 +1,292 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module rulesets */
+
+"use strict";
+
+/**
+ * Chrome's limits for static rulesets.
+ * See https://developer.chrome.com/docs/extensions/reference/declarativeNetRequest/#property
+ * @type {Object}
+ */
+const DEFAULT_LIMITS = Object.freeze({
+  // GUARANTEED_MINIMUM_STATIC_RULES
+  maxRulesPerRuleset: 30000,
+  maxEnabledRules: 30000,
+  // MAX_NUMBER_OF_REGEX_RULES
+  maxRegexRulesPerRuleset: 1000,
+  // MAX_NUMBER_OF_STATIC_RULESETS
+  maxRulesets: 100,
+  // MAX_NUMBER_OF_ENABLED_STATIC_RULESETS
+  maxEnabledRulesets: 50
+});
+
+/**
+ * The default order of importance for rules, by action type. Rules of the
+ * less important types are the first to be deferred to disabled rulesets, or
+ * dropped. Allowing rules come first, since dropping them would break
+ * websites.
+ * @type {string[]}
+ */
+const DEFAULT_RULE_ORDER = Object.freeze([
+  "allowAllRequests", "allow", "block", "redirect", "upgradeScheme",
+  "modifyHeaders"
+]);
+
+function isRegexRule(rule)
+{
+  return !!(rule.condition && rule.condition.regexFilter);
+}
+
+/**
+ * Splits the given declarativeNetRequest rules into as many static rulesets
+ * as required to stay within Chrome's limits. Rulesets are filled in order of
+ * rule importance, so that when there are too many rules to enable all of the
+ * rulesets, the least important rules end up in the disabled rulesets.
+ * Note: Use this after `compressRules`, since the limits apply to the final
+ *       number of rules.
+ * @param {Object[]} rules
+ *   The rules to split up.
+ * @param {Object} [options]
+ * @param {Object} [options.limits]
+ *   Limits to use instead of (some of) `DEFAULT_LIMITS`.
+ * @param {string[]} [options.ruleOrder]
+ *   The order of importance of the rules by action type, see
+ *   `DEFAULT_RULE_ORDER`. Rules of unlisted action types come last.
+ * @param {boolean} [options.dropOverflow=false]
+ *   If there are too many rules for the maximum number of rulesets, drop the
+ *   least important rules instead of throwing.
+ * @returns {Object}
+ *   An Object with a `rulesets` Array of `{id, enabled, rules}` Objects, and a
+ *   `dropped` Array of the rules which didn't fit.
+ * @throws {Error}
+ *   If the rule order contains unknown action types, or the rules don't fit
+ *   into the maximum number of rulesets.
+ */
+function planRulesets(rules, {limits = {}, ruleOrder = DEFAULT_RULE_ORDER,
+                              dropOverflow = false} = {})
+{
+  limits = Object.assign({}, DEFAULT_LIMITS, limits);
+
+  for (let type of ruleOrder)
+  {
+    if (!DEFAULT_RULE_ORDER.includes(type))
+    {
+      throw new Error("Unknown action type \"" + type + "\" in the rule " +
+                      "order (must be one of " +
+                      DEFAULT_RULE_ORDER.join(", ") + ").");
+    }
+  }
+
+  let getRank = rule =>
+  {
+    let rank = ruleOrder.indexOf(rule.action.type);
+    return rank == -1 ? ruleOrder.length : rank;
+  };
+  let sortedRules = rules.map((rule, index) => ({
+    rule, index, rank: getRank(rule)
+  })).sort((a, b) => a.rank - b.rank || a.index - b.index)
+     .map(({rule}) => rule);
+
+  let rulesets = [];
+  let dropped = [];
+
+  for (let rule of sortedRules)
+  {
+    let regex = isRegexRule(rule);
+    let ruleset = rulesets.find(
+      ({rules: rulesetRules, regexRuleCount}) =>
+        rulesetRules.length < limits.maxRulesPerRuleset &&
+        (!regex || regexRuleCount < limits.maxRegexRulesPerRuleset)
+    );
+
+    if (!ruleset)
+    {
+      if (rulesets.length >= limits.maxRulesets)
+      {
+        if (!dropOverflow)
+        {
+          throw new Error(
+            "Too many rules, they don't fit into " + limits.maxRulesets +
+            " rulesets."
+          );
+        }
+
+        dropped.push(rule);
+        continue;
+      }
+
+      ruleset = {rules: [], regexRuleCount: 0};
+      rulesets.push(ruleset);
+    }
+
+    ruleset.rules.push(rule);
+    if (regex)
+      ruleset.regexRuleCount++;
+  }
+
+  // Once a ruleset can't be enabled, the following (less important) ones
+  // aren't either.
+  let enabledRuleCount = 0;
+  let enabled = true;
+  return {
+    rulesets: rulesets.map(({rules: rulesetRules}, i) =>
+    {
+      enabledRuleCount += rulesetRules.length;
+      enabled = enabled && i < limits.maxEnabledRulesets &&
+                enabledRuleCount <= limits.maxEnabledRules;
+
+      return {id: "ruleset_" + (i + 1), enabled, rules: rulesetRules};
+    }),
+    dropped
+  };
+}
+
+/**
+ * Checks that the given rules fit into a single static ruleset.
+ * @param {Object[]} rules
+ * @param {Object} [limits]
+ *   Limits to use instead of (some of) `DEFAULT_LIMITS`.
+ * @returns {Object[]}
+ *   The given rules.
+ * @throws {Error}
+ *   If there are too many rules, or too many regular expression rules.
+ */
+function checkRulesetLimits(rules, limits = {})
+{
+  limits = Object.assign({}, DEFAULT_LIMITS, limits);
+
+  if (rules.length > limits.maxRulesPerRuleset)
+  {
+    throw new Error(
+      "Too many rules for one ruleset (" + rules.length + " of " +
+      limits.maxRulesPerRuleset + " allowed)."
+    );
+  }
+
+  let regexRuleCount = rules.filter(isRegexRule).length;
+  if (regexRuleCount > limits.maxRegexRulesPerRuleset)
+  {
+    throw new Error(
+      "Too many regular expression rules for one ruleset (" + regexRuleCount +
+      " of " + limits.maxRegexRulesPerRuleset + " allowed)."
+    );
+  }
+
+  return rules;
+}
+
+/**
+ * Checks that rulesets which were planned separately (e.g. for each filter
+ * list, see `planRulesets`) fit within Chrome's limits together.
+ * @param {Object[]} rulesets
+ *   The rulesets, as `{enabled, rules}` Objects.
+ * @param {Object} [limits]
+ *   Limits to use instead of (some of) `DEFAULT_LIMITS`.
+ * @returns {Object[]}
+ *   The given rulesets.
+ * @throws {Error}
+ *   If there are too many rulesets, too many enabled rulesets, or too many
+ *   rules in the enabled rulesets.
+ */
+function checkCombinedRulesetLimits(rulesets, limits = {})
+{
+  limits = Object.assign({}, DEFAULT_LIMITS, limits);
+
+  let enabledRulesets = rulesets.filter(({enabled}) => enabled);
+  let enabledRuleCount = 0;
+  for (let {rules} of enabledRulesets)
+    enabledRuleCount += rules.length;
+
+  let counts = [
+    [rulesets.length, limits.maxRulesets, "rulesets"],
+    [enabledRulesets.length, limits.maxEnabledRulesets, "enabled rulesets"],
+    [enabledRuleCount, limits.maxEnabledRules, "enabled rules"]
+  ];
+  for (let [count, limit, description] of counts)
+  {
+    if (count > limit)
+    {
+      throw new Error("Too many " + description + " (" + count + " of " +
+                      limit + " allowed).");
+    }
+  }
+
+  return rulesets;
+}
+
+/**
+ * Generates the `declarative_net_request` section of an extension's
+ * manifest.json for the given rulesets, along with the permissions their
+ * rules require.
+ * See https://developer.chrome.com/docs/extensions/reference/declarativeNetRequest/#manifest
+ * @param {Object[]} rulesets
+ *   The rulesets, as `{id, enabled, path, rules}` Objects, where `path` is
+ *   the path of the ruleset file relative to the extension's root directory.
+ * @returns {Object}
+ *   The manifest fragment, with `permissions`, any `host_permissions`, and
+ *   `declarative_net_request` properties.
+ */
+function generateManifestFragment(rulesets)
+{
+  let permissions = ["declarativeNetRequest"];
+  let manifest = {permissions};
+
+  // Redirecting requests (even to a page of the extension) and modifying
+  // their headers requires host access.
+  let needsHostAccess = rulesets.some(({rules}) => rules.some(
+    ({action}) => action.type == "redirect" || action.type == "modifyHeaders"
+  ));
+  if (needsHostAccess)
+  {
+    permissions.push("declarativeNetRequestWithHostAccess");
+    manifest.host_permissions = ["<all_urls>"];
+  }
+
+  // Pages of the extension which requests are redirected to have to be web
+  // accessible.
+  let extensionPaths = new Set();
+  for (let {rules} of rulesets)
+  {
+    for (let {action} of rules)
+    {
+      if (action.type == "redirect" && action.redirect &&
+          action.redirect.extensionPath)
+        extensionPaths.add(action.redirect.extensionPath.replace(/^\//, ""));
+    }
+  }
+  if (extensionPaths.size)
+  {
+    manifest.web_accessible_resources = [
+      {resources: Array.from(extensionPaths), matches: ["<all_urls>"]}
+    ];
+  }
+
+  manifest.declarative_net_request = {
+    rule_resources: rulesets.map(({id, enabled, path}) => ({id, enabled, path}))
+  };
+
+  return manifest;
+}
+
+exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
+exports.DEFAULT_RULE_ORDER = DEFAULT_RULE_ORDER;
+exports.planRulesets = planRulesets;
+exports.checkRulesetLimits = checkRulesetLimits;
+exports.checkCombinedRulesetLimits = checkCombinedRulesetLimits;
+exports.generateManifestFragment = generateManifestFragment;
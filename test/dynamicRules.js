@@ -0,0 +1,77 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+
+const {
+  checkDynamicRuleLimits,
+  diffRules
+} = require("../lib/dynamicRules.js");
+const {makeRule, makeRules} = require("./utils/rules.js");
+
+describe("Dynamic rule updates", function()
+{
+  it("should only add and remove the rules which changed", () =>
+  {
+    let previousRules = [makeRule("a", {id: 1}), makeRule("b", {id: 2}),
+                         makeRule("c", {id: 5})];
+    let rules = [makeRule("c"), makeRule("d"), makeRule("a"), makeRule("e")];
+
+    assert.deepEqual(diffRules(previousRules, rules), {
+      addRules: [makeRule("d", {id: 2}), makeRule("e", {id: 3})],
+      removeRuleIds: [2]
+    });
+    assert.deepEqual(rules.map(rule => rule.id), [5, 2, 1, 3]);
+  });
+
+  it("should produce an empty update when nothing changed", () =>
+  {
+    let previousRules = [makeRule("a", {id: 3}), makeRule("a", {id: 4})];
+    assert.deepEqual(
+      diffRules(previousRules, [makeRule("a"), makeRule("a")]),
+      {addRules: [], removeRuleIds: []}
+    );
+    assert.deepEqual(diffRules(previousRules, [makeRule("a")]),
+                     {addRules: [], removeRuleIds: [4]});
+  });
+
+  it("should respect the dynamic rule limits", () =>
+  {
+    let rules = [makeRule("a"), makeRule("b"),
+                 makeRule("c", {type: "redirect"})];
+
+    assert.throws(() => diffRules([], rules, {maxRules: 2}),
+                  /Too many dynamic rules \(3 of 2 allowed\)/);
+    assert.throws(() => diffRules([], rules, {maxUnsafeRules: 0}),
+                  /Too many unsafe dynamic rules/);
+    assert.throws(
+      () => diffRules([], [makeRule("a", {regex: true})],
+                      {maxRegexRules: 0}),
+      /Too many regular expression dynamic rules/
+    );
+    assert.equal(diffRules([], rules, {maxRules: 3}).addRules.length, 3);
+  });
+
+  it("should check the default limits", () =>
+  {
+    checkDynamicRuleLimits(makeRules("block", 1000, true));
+    assert.throws(() => checkDynamicRuleLimits(makeRules("block", 1001, true)),
+                  /Too many regular expression dynamic rules \(1001 of 1000/);
+  });
+});
@@ -0,0 +1,134 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+
+const {checkEquivalence} = require("../lib/equivalence.js");
+const {isRegexSupported} = require("../lib/regexSupport.js");
+
+describe("Equivalence checking", function()
+{
+  it("should find no differences for faithful conversions", async () =>
+  {
+    let differences = await checkEquivalence(
+      ["||ads.invalid^", "@@||ads.invalid/allowed^", "/foo\\d+bar/",
+       "advert$domain=initiator.invalid", "@@||allowed.invalid^$document",
+       "tracker$third-party", "||generic.invalid^",
+       "@@||specific.invalid^$genericblock",
+       "||example.invalid$csp=script-src 'none'",
+       "||example.invalid/foo$domain=bar.invalid," +
+       "rewrite=abp-resource:blank-js",
+       "||header.invalid^$header=x-ad=yes", "@@||header.invalid/ok$header",
+       "||bad.invalid^", "||bad.invalid^$badfilter",
+       "||blocked.invalid^$document", "@@||blocked.invalid/ok^$document"],
+      [
+        {url: "https://ads.invalid/x", type: "image"},
+        {url: "https://ads.invalid/allowed", type: "image"},
+        {url: "https://ads.invalid/x", type: "script",
+         initiator: "https://allowed.invalid"},
+        {url: "https://x.invalid/foo123bar", type: "image"},
+        {url: "https://x.invalid/foobar", type: "image"},
+        {url: "https://x.invalid/advert", type: "image",
+         initiator: "https://initiator.invalid"},
+        {url: "https://x.invalid/advert", type: "image",
+         initiator: "https://other.invalid"},
+        {url: "https://x.invalid/tracker", type: "image",
+         initiator: "https://x.invalid"},
+        {url: "https://x.invalid/tracker", type: "image",
+         initiator: "https://other.invalid"},
+        {url: "https://generic.invalid/", type: "image",
+         initiator: "https://specific.invalid"},
+        {url: "https://example.invalid", type: "main_frame"},
+        {url: "https://example.invalid/foo", type: "script",
+         initiator: "https://bar.invalid"},
+        {url: "https://header.invalid/x", type: "image",
+         responseHeaders: [{name: "X-Ad", value: "yes"}]},
+        {url: "https://header.invalid/x", type: "image",
+         responseHeaders: [{name: "X-Ad", value: "no"}]},
+        {url: "https://header.invalid/ok", type: "image",
+         responseHeaders: [{name: "X-Ad", value: "yes"}]},
+        {url: "https://bad.invalid/", type: "image"},
+        {url: "https://blocked.invalid/", type: "main_frame"},
+        {url: "https://blocked.invalid/ok", type: "main_frame"},
+        {url: "https://blocked.invalid/", type: "image"}
+      ],
+      isRegexSupported
+    );
+
+    assert.deepEqual(differences, []);
+  });
+
+  it("should report differences with the responsible filters", async () =>
+  {
+    let differences = await checkEquivalence(
+      ["||frame.invalid^$subdocument", "@@||frame.invalid^$csp"],
+      [
+        {url: "https://frame.invalid/", type: "sub_frame",
+         initiator: "https://other.invalid"},
+        {url: "https://frame.invalid/", type: "image",
+         initiator: "https://other.invalid"}
+      ]
+    );
+
+    assert.equal(differences.length, 1);
+
+    let [{request, abp, dnr}] = differences;
+    assert.equal(request.type, "sub_frame");
+    assert.deepEqual(abp, {
+      outcome: {action: "block", csp: []},
+      filters: ["||frame.invalid^$subdocument"]
+    });
+    assert.deepEqual(dnr.outcome, {action: "allow", csp: []});
+    assert.deepEqual(dnr.rules.map(rule => rule.action.type), ["allow"]);
+    assert.deepEqual(dnr.filters, ["@@||frame.invalid^$csp"]);
+  });
+
+  it("should ignore query parameters being removed", async () =>
+  {
+    let differences = await checkEquivalence(
+      ["||x.invalid^$removeparam=utm", "||y.invalid^$removeparam=utm",
+       "||y.invalid^$document"],
+      [{url: "https://x.invalid/?utm=1", type: "main_frame"},
+       {url: "https://y.invalid/?utm=1", type: "main_frame"}],
+      isRegexSupported
+    );
+
+    assert.deepEqual(differences, []);
+  });
+
+  for (let option of ["important", "denyallow=a.invalid", "method=get",
+                      "to=a.invalid"])
+  {
+    it("should leave out filters with the $" + option + " option", async () =>
+    {
+      let text = "||w.invalid^$" + option;
+      let unchecked = [];
+      let differences = await checkEquivalence(
+        ["@@||w.invalid^", text],
+        [{url: "https://w.invalid/", type: "image", method: "get",
+          initiator: "https://b.invalid"}],
+        isRegexSupported,
+        {onUnchecked: filterText => unchecked.push(filterText)}
+      );
+
+      assert.deepEqual(differences, []);
+      assert.deepEqual(unchecked, [text]);
+    });
+  }
+});
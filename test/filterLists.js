@@ -0,0 +1,231 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+
+const {diagnosticCodes} = require("../lib/abp2dnr.js");
+const {convertFilterLists, parseListMetadata,
+       verifyListChecksum} = require("../lib/filterLists.js");
+
+const lists = [
+  {
+    name: "easylist.txt",
+    lines: ["[Adblock Plus 2.0]", "! Title: EasyList", "||a.com^",
+            "||b.com^", "", "/ad.js$script"]
+  },
+  {
+    name: "regional.txt",
+    lines: ["||b.com^", "||c.com^", "||a.com^$badfilter"]
+  }
+];
+
+describe("Filter list conversion", function()
+{
+  it("should merge the lists into one ruleset", async () =>
+  {
+    let {rulesets, ruleSources} = await convertFilterLists(lists);
+
+    assert.equal(rulesets.length, 1);
+    let [{lists: names, rules}] = rulesets;
+    assert.deepEqual(names, ["easylist.txt", "regional.txt"]);
+    assert.deepEqual(rules.map(({id, condition}) => ({id, condition})), [
+      {
+        id: 1,
+        condition: {
+          urlFilter: "/ad.js",
+          isUrlFilterCaseSensitive: false,
+          resourceTypes: ["script"]
+        }
+      },
+      {id: 2, condition: {requestDomains: ["b.com", "c.com"]}}
+    ]);
+
+    assert.deepEqual(ruleSources.get(rules[0]), [
+      {list: "easylist.txt", line: 6, filter: "/ad.js$script"}
+    ]);
+    assert.deepEqual(ruleSources.get(rules[1]), [
+      {list: "easylist.txt", line: 4, filter: "||b.com^"},
+      {list: "regional.txt", line: 1, filter: "||b.com^"},
+      {list: "regional.txt", line: 2, filter: "||c.com^"}
+    ]);
+  });
+
+  it("should convert each list to a ruleset if asked to", async () =>
+  {
+    let {rulesets} = await convertFilterLists(
+      lists, null, {rulesetPerList: true, idStart: 100}
+    );
+
+    assert.deepEqual(rulesets.map(ruleset => ruleset.lists),
+                     [["easylist.txt"], ["regional.txt"]]);
+    assert.deepEqual(
+      rulesets.map(({rules}) => rules.map(({id, condition}) => ({
+        id, urlFilter: condition.urlFilter,
+        requestDomains: condition.requestDomains
+      }))),
+      [
+        [{id: 100, urlFilter: "/ad.js", requestDomains: undefined},
+         {id: 101, urlFilter: "||b.com^", requestDomains: undefined}],
+        [{id: 102, urlFilter: undefined, requestDomains: ["b.com", "c.com"]}]
+      ]
+    );
+  });
+
+  it("should leave rules uncompressed if asked to", async () =>
+  {
+    let {rulesets: [{rules}]} = await convertFilterLists(
+      lists, null, {compress: false}
+    );
+    assert.deepEqual(rules.map(({id, condition}) => [id, condition.urlFilter]),
+                     [[1, "||b.com^"], [2, "/ad.js"], [3, "||b.com^"],
+                      [4, "||c.com^"]]);
+  });
+
+  it("should report diagnostics with their list and line", async () =>
+  {
+    let diagnostics = [];
+    await convertFilterLists(lists, null, {
+      onDiagnostic({list, line, filter, code})
+      {
+        diagnostics.push({list, line, filter, code});
+      }
+    });
+
+    assert.deepEqual(diagnostics, [
+      {list: "easylist.txt", line: 2, filter: "! Title: EasyList",
+       code: diagnosticCodes.COMMENT},
+      {list: "easylist.txt", line: 3, filter: "||a.com^",
+       code: diagnosticCodes.DISABLED_BY_BADFILTER},
+      {list: "regional.txt", line: 3, filter: "||a.com^$badfilter",
+       code: diagnosticCodes.BADFILTER}
+    ]);
+  });
+
+  it("should apply the lists' preprocessor directives", async () =>
+  {
+    let diagnostics = [];
+    let {rulesets: [{rules}], ruleSources} = await convertFilterLists([
+      {
+        name: "list.txt",
+        lines: ["!#if env_firefox", "||a.com^", "!#endif",
+                "!#include extra.txt", "!#include missing.txt"]
+      }
+    ], null, {
+      readFile(file)
+      {
+        if (file != "extra.txt")
+          throw new Error("No such file: " + file);
+        return "||b.com^\n||c.com^$badfilter";
+      },
+      onDiagnostic({list, file, line, code})
+      {
+        diagnostics.push({list, file, line, code});
+      }
+    });
+
+    assert.deepEqual(rules.map(({condition}) => condition.urlFilter),
+                     ["||b.com^"]);
+    assert.deepEqual(ruleSources.get(rules[0]), [
+      {list: "list.txt", file: "extra.txt", line: 1, filter: "||b.com^"}
+    ]);
+    assert.deepEqual(diagnostics, [
+      {list: "list.txt", file: undefined, line: 5,
+       code: diagnosticCodes.INCLUDE_FAILED},
+      {list: "list.txt", file: "extra.txt", line: 2,
+       code: diagnosticCodes.BADFILTER}
+    ]);
+  });
+});
+
+describe("Filter list metadata", function()
+{
+  it("should parse the list's header", async () =>
+  {
+    assert.deepEqual(parseListMetadata([
+      "[Adblock Plus 2.0]",
+      "! Version: 202610190900",
+      "! Title: EasyList",
+      "! Last modified: 19 Oct 2026 09:00 UTC",
+      "! Expires: 4 days (update frequency)",
+      "!",
+      "! Homepage: https://easylist.to/",
+      "! Title: Another title",
+      "||a.com^",
+      "! Checksum: 8Ju5HcKnBVSmkqZGjAqPxw"
+    ]), {
+      minimumVersion: "2.0",
+      title: "EasyList",
+      version: "202610190900",
+      expires: "4 days (update frequency)",
+      expiresHours: 96,
+      homepage: "https://easylist.to/",
+      lastModified: "19 Oct 2026 09:00 UTC",
+      checksum: null
+    });
+  });
+
+  it("should handle lists without a header", async () =>
+  {
+    assert.deepEqual(parseListMetadata(["! expires: 12h", "||a.com^"]), {
+      minimumVersion: null,
+      title: null,
+      version: null,
+      expires: "12h",
+      expiresHours: 12,
+      homepage: null,
+      lastModified: null,
+      checksum: null
+    });
+    assert.equal(parseListMetadata([]).title, null);
+  });
+});
+
+describe("Filter list checksums", function()
+{
+  let checksummedLines = [
+    "[Adblock Plus 2.0]", "! Title: Test", "! Checksum: QxF7sb7uYein37p4zMvuwg",
+    "", "||a.com^", "||b.com^$script"
+  ];
+
+  it("should accept lists matching their checksum", async () =>
+  {
+    assert.strictEqual(verifyListChecksum(checksummedLines), true);
+    assert.strictEqual(verifyListChecksum(checksummedLines.concat([""])),
+                       true);
+    assert.strictEqual(
+      verifyListChecksum(checksummedLines.map(line => line + "\r")), true
+    );
+  });
+
+  it("should reject lists which don't match their checksum", async () =>
+  {
+    assert.strictEqual(verifyListChecksum(checksummedLines.slice(0, -1)),
+                       false);
+    assert.strictEqual(
+      verifyListChecksum(checksummedLines.concat(["||c.com^"])), false
+    );
+  });
+
+  it("should ignore lists without a checksum", async () =>
+  {
+    assert.strictEqual(verifyListChecksum(checksummedLines.filter(
+      line => !line.startsWith("! Checksum")
+    )), null);
+  });
+});
@@ -0,0 +1,191 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+
+const {Filter} = require("adblockpluscore/lib/filterClasses");
+const {convertFilter, compressRules,
+       applyBadFilters} = require("../lib/abp2dnr.js");
+const {IncrementalConverter} = require("../lib/incrementalConverter.js");
+const {isRegexSupported} = require("../lib/regexSupport.js");
+
+async function convertList(filterTexts)
+{
+  let rules = [];
+  for (let text of applyBadFilters(filterTexts))
+  {
+    if (text != null)
+    {
+      rules.push(...await convertFilter(Filter.fromText(text),
+                                        isRegexSupported));
+    }
+  }
+  return compressRules(rules);
+}
+
+function withoutIds(rules)
+{
+  return rules.map(rule =>
+  {
+    rule = Object.assign({}, rule);
+    delete rule.id;
+    return rule;
+  });
+}
+
+function sortRules(rules)
+{
+  return rules.map(rule => JSON.stringify(rule)).sort();
+}
+
+describe("Incremental conversion", function()
+{
+  let list = ["||a.com^", "||b.com^", "@@||c.com^", "||d.com/ad", "/e\\d/"];
+
+  it("should convert the same rules as compressRules", async () =>
+  {
+    let converter = new IncrementalConverter(isRegexSupported);
+    let {addRules, removeRuleIds} = await converter.applyDiff({add: list});
+
+    assert.deepEqual(removeRuleIds, []);
+    assert.deepEqual(sortRules(withoutIds(addRules)),
+                     sortRules(await convertList(list)));
+    assert.deepEqual(converter.getRules().map(rule => rule.id),
+                     [1, 2, 3, 4]);
+  });
+
+  it("should only touch the rules affected by a diff", async () =>
+  {
+    let converter = new IncrementalConverter(isRegexSupported);
+    await converter.applyDiff({add: list});
+    let rules = converter.getRules();
+    let groupRule = rules.find(rule => rule.condition.requestDomains);
+
+    let {addRules, removeRuleIds} = await converter.applyDiff({
+      add: ["||f.com^", "||g.com/ad"],
+      remove: ["||a.com^", "||d.com/ad"]
+    });
+    let dRule = rules.find(rule => rule.condition.urlFilter == "||d.com/ad");
+
+    assert.deepEqual(removeRuleIds, [dRule.id, groupRule.id]);
+    assert.deepEqual(addRules, [
+      {priority: 1000,
+       condition: {urlFilter: "||g.com/ad", isUrlFilterCaseSensitive: false},
+       action: {type: "block"}, id: 5},
+      {priority: 1000, condition: {requestDomains: ["b.com", "f.com"]},
+       action: {type: "block"}, id: groupRule.id}
+    ]);
+
+    let expected = list.filter(text => text != "||a.com^" &&
+                                       text != "||d.com/ad");
+    expected.push("||f.com^", "||g.com/ad");
+    assert.deepEqual(sortRules(withoutIds(converter.getRules())),
+                     sortRules(await convertList(expected)));
+  });
+
+  it("should remove groups once empty", async () =>
+  {
+    let converter = new IncrementalConverter(isRegexSupported);
+    await converter.applyDiff({add: ["||a.com^", "||b.com^"]});
+    assert.deepEqual(
+      await converter.applyDiff({remove: ["||b.com^"]}),
+      {
+        addRules: [{priority: 1000, condition: {urlFilter: "||a.com^"},
+                    action: {type: "block"}, id: 1}],
+        removeRuleIds: [1]
+      }
+    );
+    assert.deepEqual(await converter.applyDiff({remove: ["||a.com^"]}),
+                     {addRules: [], removeRuleIds: [1]});
+    assert.deepEqual(converter.getRules(), []);
+  });
+
+  it("should keep track of duplicate filters", async () =>
+  {
+    let converter = new IncrementalConverter(isRegexSupported);
+    await converter.applyDiff({add: ["||d.com/ad", "||d.com/ad"]});
+    assert.deepEqual(await converter.applyDiff({remove: ["||d.com/ad"]}),
+                     {addRules: [], removeRuleIds: []});
+    assert.deepEqual(await converter.applyDiff({remove: ["||d.com/ad"]}),
+                     {addRules: [], removeRuleIds: [1]});
+  });
+
+  it("should save and restore its state", async () =>
+  {
+    let converter = new IncrementalConverter(isRegexSupported);
+    await converter.applyDiff({add: list});
+
+    let restored = IncrementalConverter.fromJSON(
+      JSON.parse(JSON.stringify(converter)), isRegexSupported
+    );
+    assert.deepEqual(restored.getRules(), converter.getRules());
+    assert.deepEqual(restored.getFilterTexts(), list);
+
+    let diff = {add: ["||h.com^"], remove: ["||b.com^", "/e\\d/"]};
+    assert.deepEqual(await restored.applyDiff(diff),
+                     await converter.applyDiff(diff));
+    assert.deepEqual(restored.getRules(), converter.getRules());
+  });
+
+  it("should apply $badfilter filters", async () =>
+  {
+    let converter = new IncrementalConverter(isRegexSupported);
+    assert.deepEqual(
+      await converter.applyDiff({
+        add: ["||a.com^$script", "||a.com^$script,badfilter"]
+      }),
+      {addRules: [], removeRuleIds: []}
+    );
+
+    await converter.applyDiff({
+      add: ["||b.com/ad$domain=c.com|d.com", "||e.com/ad"]
+    });
+    let rules = converter.getRules();
+    assert.deepEqual(rules.map(({id, condition}) => [id, condition.urlFilter]),
+                     [[1, "||b.com/ad"], [2, "||e.com/ad"]]);
+
+    // Adding a $badfilter filter converts the filters it matches again.
+    let {addRules, removeRuleIds} = await converter.applyDiff({
+      add: ["||b.com/ad$domain=c.com,badfilter", "||e.com/ad$badfilter"]
+    });
+    assert.deepEqual(removeRuleIds, [1, 2]);
+    assert.deepEqual(addRules.map(({id, condition}) => ({
+      id, initiatorDomains: condition.initiatorDomains
+    })), [{id: 3, initiatorDomains: ["d.com"]}]);
+
+    // Removing it enables the filters again.
+    ({addRules, removeRuleIds} = await converter.applyDiff({
+      remove: ["||a.com^$script,badfilter", "||e.com/ad$badfilter"]
+    }));
+    assert.deepEqual(removeRuleIds, []);
+    assert.deepEqual(addRules.map(({condition}) => condition.urlFilter).sort(),
+                     ["||a.com^", "||e.com/ad"]);
+
+    assert.deepEqual(sortRules(withoutIds(converter.getRules())),
+                     sortRules(await convertList(converter.getFilterTexts())));
+
+    let restored = IncrementalConverter.fromJSON(
+      JSON.parse(JSON.stringify(converter)), isRegexSupported
+    );
+    let diff = {add: ["||a.com^$script,badfilter"]};
+    assert.deepEqual(await restored.applyDiff(diff),
+                     await converter.applyDiff(diff));
+    assert.deepEqual(restored.getRules(), converter.getRules());
+  });
+});
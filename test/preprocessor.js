@@ -0,0 +1,223 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+
+const {diagnosticCodes} = require("../lib/abp2dnr.js");
+const {preprocessFilterList} = require("../lib/preprocessor.js");
+
+function preprocess(lines, options = {})
+{
+  let diagnostics = [];
+  let result = preprocessFilterList(lines, Object.assign({
+    onDiagnostic(diagnostic)
+    {
+      diagnostics.push(diagnostic);
+    }
+  }, options));
+
+  return {
+    lines: result.map(({text, file}) => (file ? file + ": " : "") + text),
+    diagnostics: diagnostics.map(({file, line, code}) => ({file, line, code}))
+  };
+}
+
+function fileReader(files)
+{
+  return file =>
+  {
+    if (!Object.prototype.hasOwnProperty.call(files, file))
+      throw new Error("No such file: " + file);
+    return files[file];
+  };
+}
+
+describe("Filter list preprocessing", function()
+{
+  it("should keep lines depending on !#if conditions", async () =>
+  {
+    let {lines, diagnostics} = preprocess([
+      "a",
+      "!#if env_chromium",
+      "b",
+      "!#if ext_ublock || ext_adguard",
+      "c",
+      "!#else",
+      "d",
+      "!#endif",
+      "!#endif",
+      "!#if env_firefox && !(ext_ublock)",
+      "e",
+      "!#if env_chromium",
+      "f",
+      "!#endif",
+      "!#else",
+      "g",
+      "!#endif",
+      "!#if !env_firefox && (env_mv3 || env_mv2)",
+      "h",
+      "!#endif"
+    ]);
+
+    assert.deepEqual(lines, ["a", "b", "d", "g", "h"]);
+    assert.deepEqual(diagnostics, []);
+  });
+
+  it("should evaluate !#if conditions against the environment", async () =>
+  {
+    let listLines = ["!#if env_firefox", "a", "!#else", "b", "!#endif"];
+
+    assert.deepEqual(preprocess(listLines).lines, ["b"]);
+    assert.deepEqual(
+      preprocess(listLines, {environment: ["env_firefox"]}).lines, ["a"]
+    );
+  });
+
+  it("should report invalid directives", async () =>
+  {
+    let {lines, diagnostics} = preprocess([
+      "!#if env_chromium &&",
+      "a",
+      "!#endif",
+      "!#else",
+      "!#if (env_chromium",
+      "b",
+      "!#else",
+      "c",
+      "!#else",
+      "!#endif",
+      "!#endif",
+      "!#if env_chromium",
+      "d"
+    ]);
+
+    assert.deepEqual(lines, ["c", "d"]);
+    assert.deepEqual(diagnostics, [1, 4, 5, 9, 11, 12].map(line => ({
+      file: null, line, code: diagnosticCodes.INVALID_DIRECTIVE
+    })));
+  });
+
+  it("should include files relative to the list", async () =>
+  {
+    let {lines, diagnostics} = preprocess([
+      "a",
+      "!#include extra.txt",
+      "!#if env_firefox",
+      "!#include missing.txt",
+      "!#endif",
+      "b"
+    ], {
+      file: path.join("lists", "main.txt"),
+      readFile: fileReader({
+        [path.join("lists", "extra.txt")]: "c\n!#include sub/more.txt\n",
+        [path.join("lists", "sub", "more.txt")]: "!#if env_chromium\nd\n!#endif"
+      })
+    });
+
+    assert.deepEqual(lines, [
+      "a",
+      path.join("lists", "extra.txt") + ": c",
+      path.join("lists", "sub", "more.txt") + ": d",
+      path.join("lists", "extra.txt") + ": ",
+      "b"
+    ]);
+    assert.deepEqual(diagnostics, []);
+  });
+
+  it("should report includes which fail", async () =>
+  {
+    let {lines, diagnostics} = preprocess([
+      "!#include missing.txt",
+      "!#include /etc/hosts",
+      "!#include https://example.com/list.txt",
+      "!#include",
+      "a"
+    ], {readFile: fileReader({})});
+
+    assert.deepEqual(lines, ["a"]);
+    assert.deepEqual(diagnostics, [1, 2, 3, 4].map(line => ({
+      file: null, line, code: diagnosticCodes.INCLUDE_FAILED
+    })));
+  });
+
+  it("should only include files inside the list's directory", async () =>
+  {
+    let {lines, diagnostics} = preprocess([
+      "!#include ../secret.txt",
+      "!#include sub/../../secret.txt",
+      "!#include sub/nested.txt",
+      "a"
+    ], {
+      file: path.join("lists", "main.txt"),
+      readFile: fileReader({
+        "secret.txt": "secret",
+        [path.join("lists", "sub", "nested.txt")]:
+          "!#include ../extra.txt\n!#include ../../secret.txt",
+        [path.join("lists", "extra.txt")]: "b"
+      })
+    });
+
+    assert.deepEqual(lines, [path.join("lists", "extra.txt") + ": b", "a"]);
+    assert.deepEqual(diagnostics, [
+      {file: null, line: 1, code: diagnosticCodes.INCLUDE_FAILED},
+      {file: null, line: 2, code: diagnosticCodes.INCLUDE_FAILED},
+      {file: path.join("lists", "sub", "nested.txt"), line: 2,
+       code: diagnosticCodes.INCLUDE_FAILED}
+    ]);
+  });
+
+  it("should include files inside an explicit include root", async () =>
+  {
+    let {lines, diagnostics} = preprocess([
+      "!#include ../shared/extra.txt",
+      "!#include ../../secret.txt"
+    ], {
+      file: path.join("lists", "main", "list.txt"),
+      includeRoot: "lists",
+      readFile: fileReader({
+        [path.join("lists", "shared", "extra.txt")]: "a",
+        "secret.txt": "secret"
+      })
+    });
+
+    assert.deepEqual(lines, [path.join("lists", "shared", "extra.txt") +
+                             ": a"]);
+    assert.deepEqual(diagnostics, [
+      {file: null, line: 2, code: diagnosticCodes.INCLUDE_FAILED}
+    ]);
+  });
+
+  it("should detect include cycles", async () =>
+  {
+    let {lines, diagnostics} = preprocess(["a", "!#include b.txt"], {
+      file: "a.txt",
+      readFile: fileReader({
+        "b.txt": "b\n!#include c.txt",
+        "c.txt": "c\n!#include a.txt\n!#include b.txt"
+      })
+    });
+
+    assert.deepEqual(lines, ["a", "b.txt: b", "c.txt: c"]);
+    assert.deepEqual(diagnostics, [
+      {file: "c.txt", line: 2, code: diagnosticCodes.INCLUDE_CYCLE},
+      {file: "c.txt", line: 3, code: diagnosticCodes.INCLUDE_CYCLE}
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+
+const {Filter} = require("adblockpluscore/lib/filterClasses");
+const {convertFilter} = require("../lib/abp2dnr.js");
+const {isRegexSupported} = require("../lib/regexSupport.js");
+
+function testRegexSupport(regexps, expected, isCaseSensitive = true)
+{
+  assert.deepEqual(
+    regexps.map(regex => isRegexSupported({regex, isCaseSensitive})),
+    regexps.map(() => expected)
+  );
+}
+
+describe("Offline regular expression support", function()
+{
+  it("should accept simple regular expressions", () =>
+  {
+    testRegexSupport(
+      ["foo\\d+bar", "^https?:\\/\\/", "[a-z0-9]", "(?:foo|bar)baz",
+       "(?i)test", "(?P<name>a)b", "\\Qa.b\\E", "[]a]", "a{,5}",
+       "[[:alpha:]_]", "\\x41\\x{42}", "a\\b", "\\.js$", "ab*?c"],
+      {isSupported: true}
+    );
+  });
+
+  it("should reject syntax RE2 doesn't support", () =>
+  {
+    testRegexSupport(
+      ["(?!unsupported)", "(?=foo)", "(?<=foo)bar", "(?<!foo)bar",
+       "(a)\\1", "\\u1234", "a\\Z", "\\k<name>", "a**", "a+*", "*a",
+       "[z-a]", "(foo", "foo)", "[abc", "foo\\", "a{1001}", "(a{100}){20}"],
+      {isSupported: false, reason: "syntaxError"}
+    );
+  });
+
+  it("should reject regular expressions exceeding the memory limit", () =>
+  {
+    testRegexSupport(
+      ["[a-z]{1,100}", "(foo|bar|baz|qux|quux|corge|grault|garply)",
+       "[^a-f]{5}[^g-k]{5}[^l-p]{5}"],
+      {isSupported: false, reason: "memoryLimitExceeded"}
+    );
+  });
+
+  it("should merge alternatives matching a single character", () =>
+  {
+    let letters = "abcdefghijklmnopqrstuvwxyz".split("");
+    testRegexSupport(
+      [letters.join("|"), "(" + letters.join("|") + ")x",
+       "(?:" + letters.join("|") + "|[0-9]|\\.)+\\.com"],
+      {isSupported: true}
+    );
+    testRegexSupport(["(?:" + letters.map(c => c + "x").join("|") + ")"],
+                     {isSupported: false, reason: "memoryLimitExceeded"});
+  });
+
+  it("should take case sensitivity into account", () =>
+  {
+    testRegexSupport(["[a-fA-F]{9}"],
+                     {isSupported: false, reason: "memoryLimitExceeded"});
+    testRegexSupport(["[a-fA-F]{9}"], {isSupported: true}, false);
+  });
+
+  it("should work with convertFilter", async () =>
+  {
+    let rules = [];
+    for (let filter of ["/foo\\d+bar/", "/(?!unsupported)/"])
+    {
+      rules.push(...await convertFilter(Filter.fromText(filter),
+                                        isRegexSupported));
+    }
+
+    assert.deepEqual(rules.map(rule => rule.condition.regexFilter),
+                     ["foo\\d+bar"]);
+  });
+});
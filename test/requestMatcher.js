@@ -0,0 +1,338 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+
+const {Filter} = require("adblockpluscore/lib/filterClasses");
+const {compressRules, convertFilter} = require("../lib/abp2dnr.js");
+const {isRegexSupported} = require("../lib/regexSupport.js");
+const {testMatchOutcome} = require("../lib/requestMatcher.js");
+
+async function convertFilters(filters)
+{
+  let rules = [];
+  for (let filter of filters)
+  {
+    for (let rule of await convertFilter(Filter.fromText(filter),
+                                         isRegexSupported))
+    {
+      rules.push(rule);
+    }
+  }
+  rules = compressRules(rules);
+
+  let id = 1;
+  for (let rule of rules)
+    rule.id = id++;
+  return rules;
+}
+
+function outcome(rules, requestDetails)
+{
+  return testMatchOutcome(rules, requestDetails)
+           .map(({action: {type}}) => type).join(",") || "none";
+}
+
+describe("Request matcher", function()
+{
+  it("should match urlFilter anchors and placeholders", () =>
+  {
+    let rules = [
+      {id: 1, priority: 1, condition: {urlFilter: "||example.com^"},
+       action: {type: "block"}},
+      {id: 2, priority: 1, condition: {urlFilter: "|http://start"},
+       action: {type: "block"}},
+      {id: 3, priority: 1, condition: {urlFilter: ".js|"},
+       action: {type: "block"}},
+      {id: 4, priority: 1, condition: {urlFilter: "/ad*banner^"},
+       action: {type: "block"}}
+    ];
+
+    for (let [url, expected] of [
+      ["https://example.com/", "block"],
+      ["https://sub.example.com/foo", "block"],
+      ["https://example.community/", "none"],
+      ["https://notexample.com/", "none"],
+      ["http://start.invalid/", "block"],
+      ["https://start.invalid/", "none"],
+      ["https://other.invalid/script.js", "block"],
+      ["https://other.invalid/script.js?x", "none"],
+      ["https://other.invalid/ad/big/banner", "block"],
+      ["https://other.invalid/ad/big/banner?x", "block"],
+      ["https://other.invalid/ad/big/bannerx", "none"]
+    ])
+      assert.equal(outcome(rules, {url, type: "image"}), expected, url);
+  });
+
+  it("should honour case sensitivity", () =>
+  {
+    let rules = [
+      {id: 1, priority: 1,
+       condition: {urlFilter: "Foo", isUrlFilterCaseSensitive: true},
+       action: {type: "block"}},
+      {id: 2, priority: 1,
+       condition: {regexFilter: "bar\\d", isUrlFilterCaseSensitive: false},
+       action: {type: "block"}}
+    ];
+
+    assert.equal(outcome(rules, {url: "https://a.invalid/Foo", type: "image"}),
+                 "block");
+    assert.equal(outcome(rules, {url: "https://a.invalid/foo", type: "image"}),
+                 "none");
+    assert.equal(outcome(rules, {url: "https://a.invalid/BAR1", type: "image"}),
+                 "block");
+  });
+
+  it("should default to the Chrome version's case sensitivity", () =>
+  {
+    let rules = [
+      {id: 1, priority: 1, condition: {urlFilter: "Foo"},
+       action: {type: "block"}}
+    ];
+    let match = (url, chromeVersion) => testMatchOutcome(
+      rules, {url, type: "image"}, {chromeVersion}
+    ).length > 0;
+
+    // Chrome 118 and later match case insensitively by default.
+    assert.equal(match("https://a.invalid/Foo"), true);
+    assert.equal(match("https://a.invalid/foo"), true);
+    assert.equal(match("https://a.invalid/foo", 118), true);
+
+    // Earlier versions matched case sensitively by default.
+    assert.equal(match("https://a.invalid/Foo", 117), true);
+    assert.equal(match("https://a.invalid/foo", 117), false);
+  });
+
+  it("should order rules by priority, then action", () =>
+  {
+    let rules = [
+      {id: 1, priority: 1, condition: {urlFilter: "foo"},
+       action: {type: "block"}},
+      {id: 2, priority: 1, condition: {urlFilter: "foo"},
+       action: {type: "allow"}},
+      {id: 3, priority: 2, condition: {urlFilter: "bar"},
+       action: {type: "block"}},
+      {id: 4, priority: 1, condition: {urlFilter: "bar"},
+       action: {type: "allow"}},
+      {id: 5, priority: 1, condition: {urlFilter: "baz"},
+       action: {type: "redirect", redirect: {url: "data:,"}}},
+      {id: 6, priority: 1, condition: {urlFilter: "baz"},
+       action: {type: "block"}}
+    ];
+
+    for (let [url, expected] of [
+      ["https://a.invalid/foo", "allow"],
+      ["https://a.invalid/bar", "block"],
+      ["https://a.invalid/baz", "block"]
+    ])
+      assert.equal(outcome(rules, {url, type: "script"}), expected, url);
+  });
+
+  it("should only modify headers above the allowing priority", () =>
+  {
+    let modifyHeaders = {
+      type: "modifyHeaders",
+      responseHeaders: [{header: "foo", operation: "remove"}]
+    };
+    let rules = [
+      {id: 1, priority: 2, condition: {urlFilter: "foo"},
+       action: modifyHeaders},
+      {id: 2, priority: 2, condition: {urlFilter: "foo"},
+       action: {type: "allow"}},
+      {id: 3, priority: 3, condition: {urlFilter: "bar"},
+       action: modifyHeaders},
+      {id: 4, priority: 2, condition: {urlFilter: "bar"},
+       action: {type: "allow"}},
+      {id: 5, priority: 1, condition: {urlFilter: "baz"},
+       action: {type: "block"}},
+      {id: 6, priority: 2, condition: {urlFilter: "baz"},
+       action: modifyHeaders}
+    ];
+
+    for (let [url, expected] of [
+      ["https://a.invalid/foo", "allow"],
+      ["https://a.invalid/bar", "allow,modifyHeaders"],
+      ["https://a.invalid/baz", "block"]
+    ])
+      assert.equal(outcome(rules, {url, type: "sub_frame"}), expected, url);
+  });
+
+  it("should inherit allowAllRequests from parent frames", () =>
+  {
+    let rules = [
+      {id: 1, priority: 1, condition: {urlFilter: "advert"},
+       action: {type: "block"}},
+      {id: 2, priority: 3, condition: {urlFilter: "important-advert"},
+       action: {type: "block"}},
+      {id: 3, priority: 2,
+       condition: {requestDomains: ["allowed.invalid"],
+                   resourceTypes: ["main_frame", "sub_frame"]},
+       action: {type: "allowAllRequests"}}
+    ];
+
+    for (let [details, expected] of [
+      [{initiator: "https://other.invalid"}, "block"],
+      [{initiator: "https://allowed.invalid"}, "allowAllRequests"],
+      [{frames: ["https://allowed.invalid", "https://other.invalid"]},
+       "allowAllRequests"],
+      [{frames: ["https://other.invalid", "https://sub.allowed.invalid"]},
+       "allowAllRequests"],
+      [{frames: ["https://allowed.invalid"], tabId: -1}, "block"]
+    ])
+    {
+      assert.equal(outcome(rules, Object.assign({
+        url: "https://ads.invalid/advert", type: "image"
+      }, details)), expected, JSON.stringify(details));
+    }
+
+    assert.equal(outcome(rules, {
+      url: "https://ads.invalid/important-advert",
+      type: "image",
+      initiator: "https://allowed.invalid"
+    }), "block");
+  });
+
+  it("should match domain and domainType conditions", () =>
+  {
+    let rules = [
+      {id: 1, priority: 1,
+       condition: {urlFilter: "foo", initiatorDomains: ["a.invalid"],
+                   excludedInitiatorDomains: ["b.a.invalid"]},
+       action: {type: "block"}},
+      {id: 2, priority: 1,
+       condition: {urlFilter: "bar", requestDomains: ["c.invalid"],
+                   domainType: "thirdParty"},
+       action: {type: "block"}}
+    ];
+
+    for (let [url, initiator, expected] of [
+      ["https://x.invalid/foo", "https://a.invalid", "block"],
+      ["https://x.invalid/foo", "https://sub.a.invalid", "block"],
+      ["https://x.invalid/foo", "https://b.a.invalid", "none"],
+      ["https://x.invalid/foo", "https://c.invalid", "none"],
+      ["https://x.invalid/foo", null, "none"],
+      ["https://c.invalid/bar", "https://a.invalid", "block"],
+      ["https://sub.c.invalid/bar", "https://c.invalid", "none"],
+      ["https://d.invalid/bar", "https://a.invalid", "none"]
+    ])
+    {
+      assert.equal(outcome(rules, {url, initiator, type: "image"}), expected,
+                   url + " " + initiator);
+    }
+  });
+
+  it("should match resource types and request methods", () =>
+  {
+    let rules = [
+      {id: 1, priority: 1, condition: {urlFilter: "foo"},
+       action: {type: "block"}},
+      {id: 2, priority: 1,
+       condition: {urlFilter: "bar", requestMethods: ["post"],
+                   resourceTypes: ["xmlhttprequest"]},
+       action: {type: "block"}}
+    ];
+
+    for (let [url, type, method, expected] of [
+      ["https://a.invalid/foo", "image", undefined, "block"],
+      ["https://a.invalid/foo", "main_frame", undefined, "none"],
+      ["https://a.invalid/bar", "xmlhttprequest", "POST", "block"],
+      ["https://a.invalid/bar", "xmlhttprequest", "GET", "none"],
+      ["https://a.invalid/bar", "script", "POST", "none"]
+    ])
+    {
+      assert.equal(outcome(rules, {url, type, method}), expected,
+                   url + " " + type + " " + method);
+    }
+  });
+
+  it("should match response header conditions", () =>
+  {
+    let rules = [
+      {id: 1, priority: 1,
+       condition: {urlFilter: "foo",
+                   responseHeaders: [{header: "X-Ad", values: ["*y?s*"]}]},
+       action: {type: "block"}},
+      {id: 2, priority: 1,
+       condition: {urlFilter: "bar",
+                   excludedResponseHeaders: [{header: "x-keep"}]},
+       action: {type: "block"}},
+      {id: 3, priority: 1,
+       condition: {urlFilter: "baz",
+                   responseHeaders: [{header: "x-ad", values: ["a\\*b"]}]},
+       action: {type: "block"}}
+    ];
+
+    for (let [url, responseHeaders, expected] of [
+      ["https://a.invalid/foo", undefined, "none"],
+      ["https://a.invalid/foo", [{name: "x-ad", value: "Yes"}], "block"],
+      ["https://a.invalid/foo", [{name: "x-ad", value: "no"}], "none"],
+      ["https://a.invalid/bar", undefined, "none"],
+      ["https://a.invalid/bar", [], "block"],
+      ["https://a.invalid/bar", [{name: "X-Keep", value: ""}], "none"],
+      ["https://a.invalid/baz", [{name: "x-ad", value: "a*b"}], "block"],
+      ["https://a.invalid/baz", [{name: "x-ad", value: "axb"}], "none"]
+    ])
+    {
+      assert.equal(outcome(rules, {url, type: "image", responseHeaders}),
+                   expected, url + " " + JSON.stringify(responseHeaders));
+    }
+  });
+
+  it("should evaluate converted filters", async () =>
+  {
+    let rules = await convertFilters([
+      "||ads.invalid^", "/foo\\d+bar/", "advert$domain=initiator.invalid",
+      "@@||ads.invalid/allowed^",
+      "@@||allowed.invalid^$document",
+      "||example.invalid$csp=script-src 'none'",
+      "||example.invalid/foo$domain=bar.invalid,rewrite=abp-resource:blank-js",
+      "||important.invalid^$important", "@@||important.invalid^",
+      "||form.invalid^$method=post", "/track/*$to=cdn.invalid|~img.cdn.invalid",
+      "||blocked.invalid^$document"
+    ]);
+
+    for (let [details, expected] of [
+      [{url: "https://ads.invalid/x", type: "image"}, "block"],
+      [{url: "https://ads.invalid/allowed", type: "image"}, "allow"],
+      [{url: "https://ads.invalid/x", type: "image",
+        initiator: "https://allowed.invalid"}, "allowAllRequests"],
+      [{url: "https://x.invalid/foo123bar", type: "image"}, "block"],
+      [{url: "https://x.invalid/foobar", type: "image"}, "none"],
+      [{url: "https://x.invalid/advert", type: "image",
+        initiator: "https://initiator.invalid"}, "block"],
+      [{url: "https://x.invalid/advert", type: "image",
+        initiator: "https://other.invalid"}, "none"],
+      [{url: "https://example.invalid", type: "main_frame"}, "modifyHeaders"],
+      [{url: "https://example.invalid/foo", type: "script",
+        initiator: "https://bar.invalid"}, "redirect"],
+      [{url: "https://important.invalid/x", type: "image",
+        initiator: "https://allowed.invalid"}, "block"],
+      [{url: "https://form.invalid/x", type: "xmlhttprequest",
+        method: "post"}, "block"],
+      [{url: "https://form.invalid/x", type: "xmlhttprequest",
+        method: "get"}, "none"],
+      [{url: "https://cdn.invalid/track/x", type: "image"}, "block"],
+      [{url: "https://img.cdn.invalid/track/x", type: "image"}, "none"],
+      [{url: "https://other.invalid/track/x", type: "image"}, "none"],
+      [{url: "https://blocked.invalid/", type: "main_frame"}, "block"],
+      [{url: "https://blocked.invalid/x", type: "image"}, "none"]
+    ])
+      assert.equal(outcome(rules, details), expected, JSON.stringify(details));
+  });
+});
@@ -597,4 +597,114 @@ describe("Request matching", function()
       "block"
     );
   });
+
+  it("should block $important requests despite exceptions", async function()
+  {
+    await addFilters(this.browser, [
+      "||important.invalid^$important", "@@||important.invalid^",
+      "||example.invalid^", "@@||allowed.invalid^$document"
+    ]);
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://important.invalid/advert",
+        type: "image"
+      }),
+      "block"
+    );
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://important.invalid/advert",
+        type: "image",
+        initiator: "https://allowed.invalid"
+      }),
+      "block"
+    );
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://example.invalid/advert",
+        type: "image",
+        initiator: "https://allowed.invalid"
+      }),
+      "allow"
+    );
+  });
+
+  it("should only block requests with matching methods", async function()
+  {
+    await addFilters(this.browser, [
+      "||example.invalid/api$method=post", "||example.invalid^$method=~get",
+      "@@||example.invalid/api/public$method=post"
+    ]);
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://example.invalid/api",
+        type: "xmlhttprequest",
+        method: "post"
+      }),
+      "block"
+    );
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://example.invalid/api",
+        type: "xmlhttprequest",
+        method: "get"
+      }),
+      "allow"
+    );
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://example.invalid/form",
+        type: "xmlhttprequest",
+        method: "put"
+      }),
+      "block"
+    );
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://example.invalid/api/public",
+        type: "xmlhttprequest",
+        method: "post"
+      }),
+      "allow"
+    );
+  });
+
+  it("should block websites matching $document filters", async function()
+  {
+    await addFilters(this.browser, [
+      "||blocked.invalid^$document", "@@||blocked.invalid/ok^$document"
+    ]);
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://blocked.invalid/",
+        type: "main_frame"
+      }),
+      "block"
+    );
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://blocked.invalid/ok",
+        type: "main_frame"
+      }),
+      "allow"
+    );
+
+    assert.deepEqual(
+      await testRequestOutcome(this.browser, {
+        url: "https://blocked.invalid/image.png",
+        type: "image",
+        initiator: "https://other.invalid"
+      }),
+      "allow"
+    );
+  });
 });
@@ -22,10 +22,18 @@ const assert = require("assert");
 const {Filter} = require("adblockpluscore/lib/filterClasses");
 const {convertFilter,
        compressRules,
+       applyBadFilters,
+       diagnosticCodes,
        GENERIC_PRIORITY,
        GENERIC_ALLOW_ALL_PRIORITY,
        SPECIFIC_PRIORITY,
-       SPECIFIC_ALLOW_ALL_PRIORITY} = require("../lib/abp2dnr.js");
+       SPECIFIC_ALLOW_ALL_PRIORITY,
+       IMPORTANT_PRIORITY,
+       IMPORTANT_ALLOW_ALL_PRIORITY,
+       REMOVEPARAM_PRIORITY,
+       REMOVEPARAM_ALLOW_PRIORITY,
+       HEADER_PRIORITY,
+       HEADER_ALLOW_PRIORITY} = require("../lib/abp2dnr.js");
 
 async function testRules(filters, expected, transformRulesetFunction,
                          transformRuleFunction, isRegexSupported)
@@ -50,6 +58,26 @@ async function testRules(filters, expected, transformRulesetFunction,
   assert.deepEqual(rules, expected);
 }
 
+async function testDiagnostics(filters, expected, isRegexSupported)
+{
+  let codes = [];
+
+  for (let filter of filters)
+  {
+    let filterCodes = [];
+    await convertFilter(Filter.fromText(filter), isRegexSupported, {
+      onDiagnostic({code, message})
+      {
+        assert.equal(typeof message, "string");
+        filterCodes.push(code);
+      }
+    });
+    codes.push(filterCodes);
+  }
+
+  assert.deepEqual(codes, expected);
+}
+
 describe("Rule generation", function()
 {
   describe("Priorities", function()
@@ -60,6 +88,13 @@ describe("Rule generation", function()
       assert.ok(GENERIC_PRIORITY < GENERIC_ALLOW_ALL_PRIORITY);
       assert.ok(GENERIC_ALLOW_ALL_PRIORITY < SPECIFIC_PRIORITY);
       assert.ok(SPECIFIC_PRIORITY < SPECIFIC_ALLOW_ALL_PRIORITY);
+      assert.ok(SPECIFIC_ALLOW_ALL_PRIORITY < IMPORTANT_PRIORITY);
+      assert.ok(IMPORTANT_PRIORITY < IMPORTANT_ALLOW_ALL_PRIORITY);
+      assert.ok(REMOVEPARAM_PRIORITY > 0);
+      assert.ok(REMOVEPARAM_PRIORITY < REMOVEPARAM_ALLOW_PRIORITY);
+      assert.ok(REMOVEPARAM_ALLOW_PRIORITY < HEADER_PRIORITY);
+      assert.ok(HEADER_PRIORITY < HEADER_ALLOW_PRIORITY);
+      assert.ok(HEADER_ALLOW_PRIORITY < GENERIC_PRIORITY);
     });
   });
 
@@ -117,7 +152,7 @@ describe("Rule generation", function()
     it("shouldn't generate blocking rules matching no request type", async () =>
     {
       await testRules(
-        ["foo*$document", "||foo.com$document"], []
+        ["foo*$webrtc", "||foo.com$popup"], []
       );
     });
 
@@ -188,6 +223,93 @@ describe("Rule generation", function()
     });
   });
 
+  describe("$document blocking filters", function()
+  {
+    it("should generate main_frame blocking rules", async () =>
+    {
+      await testRules(
+        ["||foo.com^$document", "||bar.com^$document,script",
+         "/ads/*$document,domain=baz.com|~sub.baz.com"],
+        [
+          {
+            priority: GENERIC_PRIORITY,
+            condition: {
+              urlFilter: "||foo.com^",
+              resourceTypes: ["main_frame"]
+            },
+            action: {type: "block"}
+          },
+          {
+            priority: GENERIC_PRIORITY,
+            condition: {
+              urlFilter: "||bar.com^",
+              resourceTypes: ["main_frame"]
+            },
+            action: {type: "block"}
+          },
+          {
+            priority: GENERIC_PRIORITY,
+            condition: {
+              urlFilter: "||bar.com^",
+              resourceTypes: ["script"]
+            },
+            action: {type: "block"}
+          },
+          {
+            priority: SPECIFIC_PRIORITY,
+            condition: {
+              urlFilter: "/ads/",
+              isUrlFilterCaseSensitive: false,
+              requestDomains: ["baz.com"],
+              excludedRequestDomains: ["sub.baz.com"],
+              resourceTypes: ["main_frame"]
+            },
+            action: {type: "block"}
+          }
+        ]
+      );
+    });
+
+    it("should redirect to the blocked page if there is one", async () =>
+    {
+      let rules = await convertFilter(
+        Filter.fromText("||foo.com^$document,image"), null,
+        {blockedPagePath: "/blocked.html"}
+      );
+      assert.deepEqual(rules, [
+        {
+          priority: GENERIC_PRIORITY,
+          condition: {
+            urlFilter: "||foo.com^",
+            resourceTypes: ["main_frame"]
+          },
+          action: {
+            type: "redirect",
+            redirect: {extensionPath: "/blocked.html"}
+          }
+        },
+        {
+          priority: GENERIC_PRIORITY,
+          condition: {
+            urlFilter: "||foo.com^",
+            resourceTypes: ["image"]
+          },
+          action: {type: "block"}
+        }
+      ]);
+    });
+
+    it("should be overridden by $document exceptions", async () =>
+    {
+      await testRules(
+        ["||foo.com^$document,domain=foo.com", "@@||foo.com/ok^$document"],
+        [SPECIFIC_PRIORITY, SPECIFIC_ALLOW_ALL_PRIORITY],
+        null,
+        rule => rule.priority
+      );
+    });
+  });
+
   describe("Request allowlisting filters", function()
   {
     it("should generate case-insensitive allowlisting filters", async () =>
@@ -750,12 +872,13 @@ describe("Rule generation", function()
       await testRules(["bar*$popup"], []);
     });
 
-    it("should ignore filters which contain Unicode characters", async () =>
+    it("should ignore filters with Unicode that can't be converted", async () =>
     {
-      await testRules(["$domain=🐈.cat"], []);
       await testRules(["||🐈"], []);
       await testRules(["🐈*$domain=🐈.cat"], []);
       await testRules(["🐈%F0%9F%90%88*$domain=🐈.cat"], []);
+      await testRules(["/реклама/"], []);
+      await testRules(["||example.com^$csp=script-src 'реклама'"], []);
     });
 
     it("should ignore filters with invalid filter options", async () =>
@@ -782,6 +905,57 @@ describe("Rule generation", function()
     });
   });
 
+  describe("Diagnostics", function()
+  {
+    it("should explain why filters were skipped", async () =>
+    {
+      await testDiagnostics(
+        ["! comment", "||test.com$match_case", "🐈*", "foo*$sitekey=bar",
+         "##.whatever", "/(?!bar)/",
+         "*$domain=foo.com,rewrite=abp-resource:unknown", "foo*$webrtc",
+         "@@||test.com^$elemhide"],
+        [[diagnosticCodes.COMMENT],
+         [diagnosticCodes.INVALID_FILTER],
+         [diagnosticCodes.UNICODE],
+         [diagnosticCodes.SITEKEY],
+         [diagnosticCodes.CONTENT_FILTER],
+         [diagnosticCodes.UNSUPPORTED_REGEXP],
+         [diagnosticCodes.UNKNOWN_REWRITE_RESOURCE],
+         [diagnosticCodes.UNSUPPORTED_CONTENT_TYPES],
+         [diagnosticCodes.UNSUPPORTED_CONTENT_TYPES]],
+        ({regex}) => ({
+          isSupported: !regex.includes("(?"),
+          reason: "syntaxError"
+        })
+      );
+
+      await testDiagnostics(["/foo\\d+/"],
+                            [[diagnosticCodes.UNSUPPORTED_REGEXP]]);
+    });
+
+    it("should explain partly converted filters", async () =>
+    {
+      await testDiagnostics(
+        ["foo*$script,webrtc", "bar*$image,popup", "foo*$~script",
+         "@@||test.com^$document,elemhide", "@@||test.com^$csp"],
+        [[diagnosticCodes.PARTIALLY_UNSUPPORTED_CONTENT_TYPES],
+         [diagnosticCodes.PARTIALLY_UNSUPPORTED_CONTENT_TYPES],
+         [],
+         [diagnosticCodes.PARTIALLY_UNSUPPORTED_CONTENT_TYPES],
+         [diagnosticCodes.APPROXIMATE_CSP_ALLOWLISTING]]
+      );
+    });
+
+    it("shouldn't report filters which convert fully", async () =>
+    {
+      await testDiagnostics(
+        ["||example.com", "@@||example.com^$document", "foo*$script,image",
+         "||example.com^$csp=img-src 'none'"],
+        [[], [], [], []]
+      );
+    });
+  });
+
   describe("Filter options", function()
   {
     it("should honour the $domain option", async () =>
@@ -899,6 +1073,285 @@ describe("Rule generation", function()
     });
   });
 
+  describe("Request method options", function()
+  {
+    it("should honour the $method option", async () =>
+    {
+      await testRules(
+        ["||example.com/api$method=POST|put", "@@||example.com^$method=~get",
+         "||example.com/form$method=post|~get"],
+        [
+          {
+            urlFilter: "||example.com/api",
+            isUrlFilterCaseSensitive: false,
+            requestMethods: ["post", "put"]
+          },
+          {
+            urlFilter: "||example.com^",
+            excludedRequestMethods: ["get"]
+          },
+          {
+            urlFilter: "||example.com/form",
+            isUrlFilterCaseSensitive: false,
+            requestMethods: ["post"]
+          }
+        ],
+        null,
+        rule => rule.condition
+      );
+    });
+
+    it("should ignore invalid $method options", async () =>
+    {
+      await testRules(["||example.com^$method=fetch",
+                       "||example.com^$method=get|", "||example.com^$method"],
+                      []);
+    });
+  });
+
+  describe("Request domain options", function()
+  {
+    it("should honour the $denyallow option", async () =>
+    {
+      await testRules(
+        ["*$script,denyallow=A.com|b.com,domain=foo.com",
+         "@@||example.com^$denyallow=sub.example.com",
+         "||example.com^$csp=img-src 'none',domain=foo.com," +
+         "denyallow=sub.example.com"],
+        [
+          {
+            resourceTypes: ["script"],
+            initiatorDomains: ["foo.com"],
+            excludedRequestDomains: ["a.com", "b.com"]
+          },
+          {
+            urlFilter: "||example.com^",
+            excludedRequestDomains: ["sub.example.com"]
+          },
+          {
+            urlFilter: "||example.com^",
+            requestDomains: ["foo.com"],
+            resourceTypes: ["main_frame"],
+            excludedRequestDomains: ["sub.example.com"]
+          },
+          {
+            urlFilter: "||example.com^",
+            resourceTypes: ["sub_frame"],
+            initiatorDomains: ["foo.com"],
+            excludedRequestDomains: ["sub.example.com"]
+          }
+        ],
+        null,
+        rule => rule.condition
+      );
+    });
+
+    it("should ignore invalid $denyallow options", async () =>
+    {
+      await testRules(["||example.com^$denyallow=~a.com",
+                       "||example.com^$denyallow=a.com|",
+                       "||example.com^$denyallow"], []);
+    });
+
+    it("should honour the $to option", async () =>
+    {
+      await testRules(
+        ["/ads/*$script,to=A.com|~b.a.com,domain=foo.com",
+         "@@/ads/*$to=example.com,denyallow=sub.example.com",
+         "/ads/*$csp=img-src 'none',domain=foo.com|example.com," +
+         "to=www.example.com|bar.com"],
+        [
+          {
+            urlFilter: "/ads/",
+            isUrlFilterCaseSensitive: false,
+            resourceTypes: ["script"],
+            initiatorDomains: ["foo.com"],
+            requestDomains: ["a.com"],
+            excludedRequestDomains: ["b.a.com"]
+          },
+          {
+            urlFilter: "/ads/",
+            isUrlFilterCaseSensitive: false,
+            requestDomains: ["example.com"],
+            excludedRequestDomains: ["sub.example.com"]
+          },
+          {
+            urlFilter: "/ads/",
+            isUrlFilterCaseSensitive: false,
+            requestDomains: ["www.example.com"],
+            resourceTypes: ["main_frame"]
+          },
+          {
+            urlFilter: "/ads/",
+            isUrlFilterCaseSensitive: false,
+            resourceTypes: ["sub_frame"],
+            initiatorDomains: ["foo.com", "example.com"],
+            requestDomains: ["www.example.com", "bar.com"]
+          }
+        ],
+        null,
+        rule => rule.condition
+      );
+    });
+
+    it("should drop main_frame conditions which can't match", async () =>
+    {
+      await testRules(
+        ["/ads/*$csp=img-src 'none',domain=foo.com,to=bar.com"],
+        [
+          {
+            urlFilter: "/ads/",
+            isUrlFilterCaseSensitive: false,
+            resourceTypes: ["sub_frame"],
+            initiatorDomains: ["foo.com"],
+            requestDomains: ["bar.com"]
+          }
+        ],
+        null,
+        rule => rule.condition
+      );
+    });
+
+    it("should ignore invalid $to options", async () =>
+    {
+      await testRules(["||example.com^$to=a.com|", "||example.com^$to",
+                       "||example.com^$to=~", "||example.com^$to=*.com"],
+                      []);
+    });
+  });
+
+  describe("Internationalized filters", function()
+  {
+    it("should convert hostnames to punycode", async () =>
+    {
+      await testRules(
+        ["||пример.рф^", "@@|https://пример.рф/$document",
+         "||🐈.cat^$domain=🐈.cat|~sub.🐈.cat",
+         "||example.com^$to=~пример.рф,denyallow=sub.пример.рф"],
+        [
+          {urlFilter: "||xn--e1afmkfd.xn--p1ai^"},
+          {
+            urlFilter: "|https://xn--e1afmkfd.xn--p1ai/",
+            isUrlFilterCaseSensitive: false,
+            resourceTypes: ["main_frame", "sub_frame"]
+          },
+          {
+            urlFilter: "||xn--zn8h.cat^",
+            initiatorDomains: ["xn--zn8h.cat"],
+            excludedInitiatorDomains: ["sub.xn--zn8h.cat"]
+          },
+          {
+            urlFilter: "||example.com^",
+            excludedRequestDomains: ["xn--e1afmkfd.xn--p1ai",
+                                     "sub.xn--e1afmkfd.xn--p1ai"]
+          }
+        ],
+        null,
+        rule => rule.condition
+      );
+
+      let [rule] = await convertFilter(
+        Filter.fromText("||example.com^$domain=пример.*"), null,
+        {publicSuffixes: ["com", "рф"]}
+      );
+      assert.deepEqual(rule.condition.initiatorDomains,
+                       ["xn--e1afmkfd.com", "xn--e1afmkfd.xn--p1ai"]);
+    });
+
+    it("should percent-encode paths and queries", async () =>
+    {
+      await testRules(
+        ["||пример.рф/путь", "/реклама/*$domain=example.com",
+         "|https://example.com^广告$match-case"],
+        [
+          {
+            urlFilter: "||xn--e1afmkfd.xn--p1ai/%d0%bf%d1%83%d1%82%d1%8c",
+            isUrlFilterCaseSensitive: false
+          },
+          {
+            urlFilter: "/%d1%80%d0%b5%d0%ba%d0%bb%d0%b0%d0%bc%d0%b0/",
+            isUrlFilterCaseSensitive: false,
+            initiatorDomains: ["example.com"]
+          },
+          {urlFilter: "|https://example.com^%E5%B9%BF%E5%91%8A"}
+        ],
+        null,
+        rule => rule.condition
+      );
+    });
+
+    it("shouldn't convert hostnames which might be incomplete", async () =>
+    {
+      await testRules(["||пример", "||пример.р*", "пример.рф/путь"], []);
+    });
+  });
+
+  describe("Wildcard domains", function()
+  {
+    it("should expand wildcard domains with the public suffixes", async () =>
+    {
+      let rules = await convertFilter(
+        Filter.fromText("||ads.com^$script,domain=google.*|~google.co.uk"),
+        null, {publicSuffixes: ["com", "de", "co.uk"]}
+      );
+      assert.deepEqual(rules.map(rule => rule.condition), [
+        {
+          urlFilter: "||ads.com^",
+          resourceTypes: ["script"],
+          initiatorDomains: ["google.com", "google.de"],
+          excludedInitiatorDomains: ["google.co.uk"]
+        }
+      ]);
+
+      rules = await convertFilter(
+        Filter.fromText("@@||ads.com^$document,domain=~example.*|example.de"),
+        null, {publicSuffixes: ["com", "de"]}
+      );
+      assert.deepEqual(rules.map(rule => rule.condition), [
+        {
+          urlFilter: "||ads.com^",
+          requestDomains: ["example.de"],
+          excludedRequestDomains: ["example.com"],
+          resourceTypes: ["main_frame"]
+        },
+        {
+          urlFilter: "||ads.com^",
+          resourceTypes: ["sub_frame"],
+          initiatorDomains: ["example.de"],
+          excludedInitiatorDomains: ["example.com"]
+        }
+      ]);
+    });
+
+    it("should use the bundled public suffixes by default", async () =>
+    {
+      let [rule] = await convertFilter(
+        Filter.fromText("||ads.com^$domain=google.*")
+      );
+      let domains = rule.condition.initiatorDomains;
+      assert.ok(domains.includes("google.com"));
+      assert.ok(domains.includes("google.de"));
+      assert.ok(domains.includes("google.co.uk"));
+      assert.ok(!domains.includes("google.*"));
+    });
+
+    it("should limit the number of expanded domains", async () =>
+    {
+      let codes = [];
+      let [rule] = await convertFilter(
+        Filter.fromText("||ads.com^$domain=a.*|b.*|c.com"), null,
+        {
+          publicSuffixes: ["com", "de", "fr"],
+          maxWildcardDomains: 4,
+          onDiagnostic: ({code}) => codes.push(code)
+        }
+      );
+      assert.deepEqual(rule.condition.initiatorDomains,
+                       ["a.com", "a.de", "a.fr", "b.com", "c.com"]);
+      assert.deepEqual(codes, [diagnosticCodes.WILDCARD_DOMAIN_LIMIT]);
+    });
+  });
+
   describe("Rewrite filters", function()
   {
     it("should generate redirection rules for abp-resources", async () =>
@@ -952,6 +1405,293 @@ describe("Rule generation", function()
     });
   });
 
+  describe("$important filters", function()
+  {
+    it("should give $important filters the highest priority", async () =>
+    {
+      await testRules(
+        ["||example.com^$important", "||example.com/ad$script,important",
+         "@@||example.com^$document,important",
+         "||example.com^$removeparam=ref,important",
+         "@@||example.com^$removeparam,important"],
+        [
+          {
+            priority: IMPORTANT_PRIORITY,
+            condition: {urlFilter: "||example.com^"},
+            action: {type: "block"}
+          },
+          {
+            priority: IMPORTANT_PRIORITY,
+            condition: {
+              urlFilter: "||example.com/ad",
+              isUrlFilterCaseSensitive: false,
+              resourceTypes: ["script"]
+            },
+            action: {type: "block"}
+          },
+          {
+            priority: IMPORTANT_ALLOW_ALL_PRIORITY,
+            condition: {
+              urlFilter: "||example.com^",
+              resourceTypes: ["main_frame", "sub_frame"]
+            },
+            action: {type: "allowAllRequests"}
+          },
+          {
+            priority: IMPORTANT_PRIORITY,
+            condition: {
+              urlFilter: "||example.com^",
+              resourceTypes: ["main_frame", "sub_frame"]
+            },
+            action: {
+              type: "redirect",
+              redirect: {transform: {queryTransform: {removeParams: ["ref"]}}}
+            }
+          },
+          {
+            priority: REMOVEPARAM_ALLOW_PRIORITY,
+            condition: {
+              urlFilter: "||example.com^",
+              resourceTypes: ["main_frame", "sub_frame"]
+            },
+            action: {type: "allow"}
+          }
+        ]
+      );
+    });
+  });
+
+  describe("$badfilter filters", function()
+  {
+    it("should disable matching filters", () =>
+    {
+      assert.deepEqual(
+        applyBadFilters([
+          "||example.com^", "||example.com^$badfilter",
+          "||example.com^$script,third-party",
+          "||example.com^$third-party,script,badfilter",
+          "||example.com^$image", "@@||example.com^",
+          "||other.com^$domain=foo.com", "||other.com^$badfilter"
+        ]),
+        [
+          null, "||example.com^$badfilter",
+          null, "||example.com^$third-party,script,badfilter",
+          "||example.com^$image", "@@||example.com^",
+          "||other.com^$domain=foo.com", "||other.com^$badfilter"
+        ]
+      );
+    });
+
+    it("should ignore the case of option names", () =>
+    {
+      assert.deepEqual(
+        applyBadFilters([
+          "||a.com^$Script", "||a.com^$script,badfilter",
+          "||b.com^$csp=Foo", "||b.com^$CSP=foo,badfilter"
+        ]),
+        [
+          null, "||a.com^$script,badfilter",
+          "||b.com^$csp=Foo", "||b.com^$CSP=foo,badfilter"
+        ]
+      );
+    });
+
+    it("should remove domains from matching filters", () =>
+    {
+      assert.deepEqual(
+        applyBadFilters([
+          "||example.com^$script,domain=a.com|b.com|~c.b.com",
+          "||example.com^$domain=A.com,script,badfilter",
+          "||other.com^$domain=a.com|b.com",
+          "||other.com^$domain=b.com|a.com,badfilter",
+          "||third.com^$domain=a.com|b.com",
+          "||third.com^$domain=a.com|c.com,badfilter"
+        ]),
+        [
+          "||example.com^$script,domain=b.com|~c.b.com",
+          "||example.com^$domain=A.com,script,badfilter",
+          null,
+          "||other.com^$domain=b.com|a.com,badfilter",
+          "||third.com^$domain=a.com|b.com",
+          "||third.com^$domain=a.com|c.com,badfilter"
+        ]
+      );
+    });
+
+    it("shouldn't generate rules for $badfilter filters", async () =>
+    {
+      await testRules(["||example.com^$badfilter"], []);
+      await testDiagnostics(["||example.com^$badfilter"],
+                            [[diagnosticCodes.BADFILTER]]);
+    });
+  });
+
+  describe("Query parameter removal filters", function()
+  {
+    it("should generate query parameter removing rules", async () =>
+    {
+      await testRules(
+        ["||example.com^$removeparam=utm_source",
+         "$removeparam=ref,script,domain=foo.com",
+         "||example.com/page$removeparam"],
+        [
+          {
+            priority: REMOVEPARAM_PRIORITY,
+            condition: {
+              urlFilter: "||example.com^",
+              resourceTypes: ["main_frame", "sub_frame"]
+            },
+            action: {
+              type: "redirect",
+              redirect: {
+                transform: {queryTransform: {removeParams: ["utm_source"]}}
+              }
+            }
+          },
+          {
+            priority: REMOVEPARAM_PRIORITY,
+            condition: {
+              resourceTypes: ["script"],
+              initiatorDomains: ["foo.com"]
+            },
+            action: {
+              type: "redirect",
+              redirect: {
+                transform: {queryTransform: {removeParams: ["ref"]}}
+              }
+            }
+          },
+          {
+            priority: REMOVEPARAM_PRIORITY,
+            condition: {
+              urlFilter: "||example.com/page",
+              isUrlFilterCaseSensitive: false,
+              resourceTypes: ["main_frame", "sub_frame"]
+            },
+            action: {
+              type: "redirect",
+              redirect: {transform: {query: ""}}
+            }
+          }
+        ]
+      );
+    });
+
+    it("should generate allow rules for exceptions", async () =>
+    {
+      await testRules(
+        ["@@||example.com^$removeparam", "@@||example.com^$removeparam=ref"],
+        [
+          {
+            priority: REMOVEPARAM_ALLOW_PRIORITY,
+            condition: {
+              urlFilter: "||example.com^",
+              resourceTypes: ["main_frame", "sub_frame"]
+            },
+            action: {type: "allow"}
+          },
+          {
+            priority: REMOVEPARAM_ALLOW_PRIORITY,
+            condition: {
+              urlFilter: "||example.com^",
+              resourceTypes: ["main_frame", "sub_frame"]
+            },
+            action: {type: "allow"}
+          }
+        ]
+      );
+    });
+
+    it("should ignore filters which can't be converted", async () =>
+    {
+      await testRules(["||example.com^$removeparam=~keep",
+                       "||example.com^$removeparam=/^utm_/"], []);
+      await testDiagnostics(
+        ["||example.com^$removeparam=~keep",
+         "@@||example.com^$removeparam=ref"],
+        [[diagnosticCodes.UNSUPPORTED_REMOVEPARAM],
+         [diagnosticCodes.APPROXIMATE_REMOVEPARAM_ALLOWLISTING]]
+      );
+    });
+  });
+
+  describe("Header filters", function()
+  {
+    it("should generate rules with response header conditions", async () =>
+    {
+      await testRules(
+        ["||example.com^$header=x-ad=yes", "||example.com^$script,header=x-ad",
+         "@@||example.com/ok$header"],
+        [
+          {
+            priority: HEADER_PRIORITY,
+            condition: {
+              urlFilter: "||example.com^",
+              responseHeaders: [{header: "x-ad", values: ["*yes*"]}]
+            },
+            action: {type: "block"}
+          },
+          {
+            priority: HEADER_PRIORITY,
+            condition: {
+              urlFilter: "||example.com^",
+              resourceTypes: ["script"],
+              responseHeaders: [{header: "x-ad"}]
+            },
+            action: {type: "block"}
+          },
+          {
+            priority: HEADER_ALLOW_PRIORITY,
+            condition: {
+              urlFilter: "||example.com/ok",
+              isUrlFilterCaseSensitive: false
+            },
+            action: {type: "allow"}
+          }
+        ]
+      );
+    });
+
+    it("should match header values literally", async () =>
+    {
+      await testRules(["||example.com^$header=x-ad=a*b?"], [
+        {
+          priority: HEADER_PRIORITY,
+          condition: {
+            urlFilter: "||example.com^",
+            responseHeaders: [{header: "x-ad", values: ["*a\\*b\\?*"]}]
+          },
+          action: {type: "block"}
+        }
+      ]);
+    });
+
+    it("should report that exceptions are approximate", async () =>
+    {
+      await testDiagnostics(
+        ["@@||example.com^$header", "||example.com^$header=x-ad"],
+        [[diagnosticCodes.APPROXIMATE_HEADER_ALLOWLISTING], []]
+      );
+    });
+
+    it("should respect the minimum Chrome version", async () =>
+    {
+      let codes = [];
+      let rules = await convertFilter(
+        Filter.fromText("||example.com^$header=x-ad"), null,
+        {minimumChromeVersion: 127, onDiagnostic: ({code}) => codes.push(code)}
+      );
+      assert.deepEqual(rules, []);
+      assert.deepEqual(codes, [diagnosticCodes.UNSUPPORTED_CHROME_VERSION]);
+
+      rules = await convertFilter(
+        Filter.fromText("||example.com^$header=x-ad"), null,
+        {minimumChromeVersion: 128}
+      );
+      assert.equal(rules.length, 1);
+    });
+  });
+
   describe("Web sockets", function()
   {
     it("should generate websocket blocking rules", async () =>
@@ -1257,4 +1997,69 @@ describe("compressRules", function()
       rules => compressRules(rules).sort(sortRule)
     );
   });
+
+  it("shouldn't combine rules with request domain conditions", async () =>
+  {
+    await testRules(
+      ["||a.com^$denyallow=x.a.com", "||b.com^$denyallow=x.b.com",
+       "||c.com^", "||d.com^", "||e.com^$to=x.e.com", "||f.com^$to=x.f.com"],
+      [
+        {
+          urlFilter: "||a.com^",
+          excludedRequestDomains: ["x.a.com"]
+        },
+        {
+          urlFilter: "||b.com^",
+          excludedRequestDomains: ["x.b.com"]
+        },
+        {
+          urlFilter: "||e.com^",
+          requestDomains: ["x.e.com"]
+        },
+        {
+          urlFilter: "||f.com^",
+          requestDomains: ["x.f.com"]
+        },
+        {
+          requestDomains: ["c.com", "d.com"]
+        }
+      ],
+      compressRules,
+      rule => rule.condition
+    );
+  });
+
+  it("should keep track of the rules' sources", async () =>
+  {
+    let rules = [];
+    let ruleSources = new Map();
+    let filters = ["||a.com^", "||b.com^", "@@||c.com^", "||d.com^$image",
+                   "||e.com/foo", "||f.com^$image,domain=a.com"];
+
+    for (let i = 0; i < filters.length; i++)
+    {
+      for (let rule of await convertFilter(Filter.fromText(filters[i])))
+      {
+        rules.push(rule);
+        ruleSources.set(rule, [{filter: filters[i], line: i + 1}]);
+      }
+    }
+
+    rules = compressRules(rules, ruleSources);
+
+    assert.equal(ruleSources.size, rules.length);
+    assert.deepEqual(
+      rules.map(rule => ruleSources.get(rule).map(({line}) => line))
+           .sort((a, b) => a[0] - b[0]),
+      [[1, 2], [3], [4], [5], [6]]
+    );
+
+    let [merged] = rules.filter(rule => rule.condition.requestDomains &&
+                                        !rule.condition.resourceTypes);
+    assert.deepEqual(merged.condition.requestDomains, ["a.com", "b.com"]);
+    assert.deepEqual(ruleSources.get(merged), [
+      {filter: "||a.com^", line: 1},
+      {filter: "||b.com^", line: 2}
+    ]);
+  });
 });
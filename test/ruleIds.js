@@ -0,0 +1,94 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+
+const {getRuleKeys, assignHashedRuleIds,
+       allocateRuleIds} = require("../lib/ruleIds.js");
+const {makeRule} = require("./utils/rules.js");
+
+function getIds(rules)
+{
+  return rules.map(rule => rule.id);
+}
+
+describe("Rule keys", function()
+{
+  it("should ignore property order and rule IDs", () =>
+  {
+    assert.deepEqual(
+      getRuleKeys([
+        {id: 1, priority: 1, action: {type: "block"},
+         condition: {urlFilter: "a", resourceTypes: ["image"]}},
+        {action: {type: "block"}, priority: 1,
+         condition: {resourceTypes: ["image"], urlFilter: "a"}, id: 7}
+      ]),
+      [
+        '{"action":{"type":"block"},"condition":{"resourceTypes":["image"],' +
+        '"urlFilter":"a"},"priority":1}',
+        '{"action":{"type":"block"},"condition":{"resourceTypes":["image"],' +
+        '"urlFilter":"a"},"priority":1}#2'
+      ]
+    );
+  });
+});
+
+describe("Hashed rule IDs", function()
+{
+  it("should keep IDs when other rules change", () =>
+  {
+    let before = assignHashedRuleIds([makeRule("a"), makeRule("b"),
+                                      makeRule("c")]);
+    let after = assignHashedRuleIds([makeRule("x"), makeRule("c"),
+                                     makeRule("a")]);
+
+    assert.equal(after[1].id, before[2].id);
+    assert.equal(after[2].id, before[0].id);
+    assert.notEqual(after[0].id, before[1].id);
+  });
+
+  it("should give identical rules different IDs", () =>
+  {
+    let rules = assignHashedRuleIds([makeRule("a"), makeRule("a"),
+                                     makeRule("a")]);
+    assert.equal(new Set(getIds(rules)).size, 3);
+    for (let id of getIds(rules))
+      assert.ok(Number.isInteger(id) && id >= 1 && id <= 0x7fffffff);
+  });
+});
+
+describe("Allocated rule IDs", function()
+{
+  it("should reuse IDs and never reallocate removed ones", () =>
+  {
+    let rules = [makeRule("a"), makeRule("b"), makeRule("c")];
+    let allocations = allocateRuleIds(rules);
+    assert.deepEqual(getIds(rules), [1, 2, 3]);
+    assert.equal(allocations.nextId, 4);
+
+    rules = [makeRule("c"), makeRule("d"), makeRule("a")];
+    allocations = allocateRuleIds(rules,
+                                  JSON.parse(JSON.stringify(allocations)));
+    assert.deepEqual(getIds(rules), [3, 4, 1]);
+
+    rules = [makeRule("b"), makeRule("d")];
+    allocateRuleIds(rules, allocations);
+    assert.deepEqual(getIds(rules), [5, 4]);
+  });
+});
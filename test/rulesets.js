@@ -0,0 +1,249 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+
+const {planRulesets, checkRulesetLimits, checkCombinedRulesetLimits,
+       generateManifestFragment} = require("../lib/rulesets.js");
+const {makeRule, makeRules} = require("./utils/rules.js");
+
+function summarize({rulesets, dropped})
+{
+  return {
+    rulesets: rulesets.map(({id, enabled, rules}) => ({
+      id, enabled, rules: rules.map(rule => rule.condition.urlFilter ||
+                                            rule.condition.regexFilter)
+    })),
+    dropped: dropped.map(rule => rule.condition.urlFilter ||
+                                 rule.condition.regexFilter)
+  };
+}
+
+describe("Ruleset planning", function()
+{
+  it("should keep rules which fit in one ruleset", () =>
+  {
+    let rules = makeRules("block", 3);
+    let {rulesets, dropped} = planRulesets(rules);
+    assert.equal(rulesets.length, 1);
+    assert.deepEqual(rulesets[0], {id: "ruleset_1", enabled: true, rules});
+    assert.deepEqual(dropped, []);
+  });
+
+  it("should split rules into several rulesets", () =>
+  {
+    let rules = makeRules("block", 5);
+    assert.deepEqual(
+      summarize(planRulesets(rules, {limits: {maxRulesPerRuleset: 2}})),
+      {
+        rulesets: [
+          {id: "ruleset_1", enabled: true, rules: ["block0", "block1"]},
+          {id: "ruleset_2", enabled: true, rules: ["block2", "block3"]},
+          {id: "ruleset_3", enabled: true, rules: ["block4"]}
+        ],
+        dropped: []
+      }
+    );
+  });
+
+  it("should respect the regular expression rule limit", () =>
+  {
+    let rules = makeRules("block", 3, true).concat(makeRules("block", 2));
+    assert.deepEqual(
+      summarize(planRulesets(rules, {limits: {maxRegexRulesPerRuleset: 2}})),
+      {
+        rulesets: [
+          {id: "ruleset_1", enabled: true,
+           rules: ["block0", "block1", "block0", "block1"]},
+          {id: "ruleset_2", enabled: true, rules: ["block2"]}
+        ],
+        dropped: []
+      }
+    );
+  });
+
+  it("should put the most important rules first", () =>
+  {
+    let rules = makeRules("modifyHeaders", 1).concat(
+      makeRules("block", 1), makeRules("allow", 1), makeRules("foo", 1)
+    );
+    assert.deepEqual(summarize(planRulesets(rules)).rulesets[0].rules,
+                     ["allow0", "block0", "modifyHeaders0", "foo0"]);
+    assert.deepEqual(
+      summarize(planRulesets(rules, {ruleOrder: ["modifyHeaders", "block"]}))
+        .rulesets[0].rules,
+      ["modifyHeaders0", "block0", "allow0", "foo0"]
+    );
+    assert.throws(() => planRulesets(rules, {ruleOrder: ["block", "blok"]}),
+                  /Unknown action type "blok" in the rule order/);
+  });
+
+  it("should disable rulesets which exceed the enabled limits", () =>
+  {
+    let rules = makeRules("allow", 2).concat(makeRules("block", 4));
+    assert.deepEqual(
+      summarize(planRulesets(rules, {limits: {maxRulesPerRuleset: 2,
+                                              maxEnabledRules: 5}})),
+      {
+        rulesets: [
+          {id: "ruleset_1", enabled: true, rules: ["allow0", "allow1"]},
+          {id: "ruleset_2", enabled: true, rules: ["block0", "block1"]},
+          {id: "ruleset_3", enabled: false, rules: ["block2", "block3"]}
+        ],
+        dropped: []
+      }
+    );
+    assert.deepEqual(
+      summarize(planRulesets(rules, {limits: {maxRulesPerRuleset: 2,
+                                              maxEnabledRulesets: 1}}))
+        .rulesets.map(({enabled}) => enabled),
+      [true, false, false]
+    );
+  });
+
+  it("should fail when there are too many rules", () =>
+  {
+    let rules = makeRules("allow", 1).concat(makeRules("block", 4));
+    let limits = {maxRulesPerRuleset: 2, maxRulesets: 2};
+    assert.throws(() => planRulesets(rules, {limits}), /Too many rules/);
+    assert.deepEqual(
+      summarize(planRulesets(rules, {limits, dropOverflow: true})),
+      {
+        rulesets: [
+          {id: "ruleset_1", enabled: true, rules: ["allow0", "block0"]},
+          {id: "ruleset_2", enabled: true, rules: ["block1", "block2"]}
+        ],
+        dropped: ["block3"]
+      }
+    );
+  });
+});
+
+describe("Ruleset limits", function()
+{
+  it("should accept rules within the limits", () =>
+  {
+    let rules = makeRules("block", 2).concat(makeRules("block", 2, true));
+    assert.equal(checkRulesetLimits(rules, {maxRulesPerRuleset: 4,
+                                            maxRegexRulesPerRuleset: 2}),
+                 rules);
+  });
+
+  it("should reject too many rules", () =>
+  {
+    assert.throws(() => checkRulesetLimits(makeRules("block", 3),
+                                           {maxRulesPerRuleset: 2}),
+                  /Too many rules for one ruleset \(3 of 2 allowed\)/);
+    assert.throws(() => checkRulesetLimits(makeRules("block", 3, true),
+                                           {maxRegexRulesPerRuleset: 2}),
+                  /Too many regular expression rules/);
+  });
+});
+
+describe("Combined ruleset limits", function()
+{
+  let blockRule = makeRule("||a.com^");
+  let allowRule = makeRule("||b.com^", {type: "allow"});
+  let rulesets = [
+    {id: "easylist_1", enabled: true, rules: [blockRule, allowRule]},
+    {id: "easylist_2", enabled: false, rules: [blockRule]},
+    {id: "easyprivacy_1", enabled: true, rules: [blockRule]}
+  ];
+
+  it("should accept rulesets within the limits", () =>
+  {
+    assert.equal(checkCombinedRulesetLimits(rulesets, {maxRulesets: 3,
+                                                       maxEnabledRulesets: 2,
+                                                       maxEnabledRules: 3}),
+                 rulesets);
+  });
+
+  it("should reject rulesets exceeding the limits together", () =>
+  {
+    assert.throws(() => checkCombinedRulesetLimits(rulesets, {maxRulesets: 2}),
+                  /Too many rulesets \(3 of 2 allowed\)/);
+    assert.throws(
+      () => checkCombinedRulesetLimits(rulesets, {maxEnabledRulesets: 1}),
+      /Too many enabled rulesets \(2 of 1 allowed\)/
+    );
+    assert.throws(
+      () => checkCombinedRulesetLimits(rulesets, {maxEnabledRules: 2}),
+      /Too many enabled rules \(3 of 2 allowed\)/
+    );
+  });
+});
+
+describe("Manifest generation", function()
+{
+  it("should list the rulesets", () =>
+  {
+    let rulesets = [
+      {id: "ruleset_1", enabled: true, path: "rules/ruleset_1.json",
+       rules: makeRules("block", 1)},
+      {id: "ruleset_2", enabled: false, path: "rules/ruleset_2.json",
+       rules: makeRules("allow", 1)}
+    ];
+    assert.deepEqual(generateManifestFragment(rulesets), {
+      permissions: ["declarativeNetRequest"],
+      declarative_net_request: {
+        rule_resources: [
+          {id: "ruleset_1", enabled: true, path: "rules/ruleset_1.json"},
+          {id: "ruleset_2", enabled: false, path: "rules/ruleset_2.json"}
+        ]
+      }
+    });
+  });
+
+  it("should request host access when rules require it", () =>
+  {
+    for (let type of ["redirect", "modifyHeaders"])
+    {
+      let rulesets = [
+        {id: "ruleset_1", enabled: true, path: "ruleset_1.json",
+         rules: makeRules("block", 1)},
+        {id: "ruleset_2", enabled: false, path: "ruleset_2.json",
+         rules: makeRules(type, 1)}
+      ];
+      let manifest = generateManifestFragment(rulesets);
+      assert.deepEqual(manifest.permissions, [
+        "declarativeNetRequest", "declarativeNetRequestWithHostAccess"
+      ]);
+      assert.deepEqual(manifest.host_permissions, ["<all_urls>"]);
+    }
+  });
+
+  it("should request host access for extension page redirects", () =>
+  {
+    let rulesets = [
+      {id: "ruleset_1", enabled: true, path: "ruleset_1.json",
+       rules: [{priority: 1000, condition: {urlFilter: "||a.com^",
+                                            resourceTypes: ["main_frame"]},
+                action: {type: "redirect",
+                         redirect: {extensionPath: "/blocked.html"}}}]}
+    ];
+    let manifest = generateManifestFragment(rulesets);
+    assert.deepEqual(manifest.permissions, [
+      "declarativeNetRequest", "declarativeNetRequestWithHostAccess"
+    ]);
+    assert.deepEqual(manifest.host_permissions, ["<all_urls>"]);
+    assert.deepEqual(manifest.web_accessible_resources, [
+      {resources: ["blocked.html"], matches: ["<all_urls>"]}
+    ]);
+  });
+});
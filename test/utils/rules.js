@@ -0,0 +1,61 @@
+/*
+ * This file is part of Adblock Plus <https://adblockplus.org/>,
+ * Copyright (C) 2006-present eyeo GmbH
+ *
+ * Adblock Plus is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 3 as
+ * published by the Free Software Foundation.
+ *
+ * Adblock Plus is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Adblock Plus.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * Returns a rule matching the given urlFilter (or regexFilter), for tests
+ * which don't care about the rule's other details.
+ * @param {string} filter
+ * @param {Object} [options]
+ * @param {number} [options.id]
+ * @param {string} [options.type="block"]
+ *   The rule's action type.
+ * @param {boolean} [options.regex=false]
+ *   Whether `filter` is a regexFilter, rather than a urlFilter.
+ * @returns {Object}
+ */
+function makeRule(filter, {id, type = "block", regex = false} = {})
+{
+  let rule = {
+    priority: 1000,
+    condition: regex ? {regexFilter: filter} : {urlFilter: filter},
+    action: {type}
+  };
+  if (id)
+    rule.id = id;
+  return rule;
+}
+
+/**
+ * Returns the given number of rules with the given action type, matching the
+ * type followed by their index (e.g. "block0", "block1").
+ * @param {string} type
+ * @param {number} count
+ * @param {boolean} [regex=false]
+ * @returns {Object[]}
+ */
+function makeRules(type, count, regex = false)
+{
+  let rules = [];
+  for (let i = 0; i < count; i++)
+    rules.push(makeRule(type + i, {type, regex}));
+  return rules;
+}
+
+exports.makeRule = makeRule;
+exports.makeRules = makeRules;